@@ -0,0 +1,20 @@
+// Public Node API of the accessibility auditor (see "Node API" in the README)
+
+const { audit, auditSites, generateReports, REPORT_FORMATS } = require('./lib/api');
+const { toHaveNoA11yViolations } = require('./lib/matchers');
+const { startStaticServer } = require('./lib/server');
+const { ConfigError } = require('./lib/utils');
+const { EXIT_CODES, IMPACT_LEVELS, WCAG_LEVELS } = require('./lib/constants');
+
+module.exports = {
+  audit,
+  auditSites,
+  generateReports,
+  REPORT_FORMATS,
+  startStaticServer,
+  matchers: { toHaveNoA11yViolations },
+  ConfigError,
+  EXIT_CODES,
+  IMPACT_LEVELS,
+  WCAG_LEVELS
+};
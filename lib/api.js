@@ -0,0 +1,273 @@
+// Node API: audits, progress events and combined reports for embedding the auditor in other tools
+
+const { EventEmitter } = require('events');
+const { chromium } = require('playwright');
+const fs = require('fs/promises');
+const path = require('path');
+const { HISTORY_FILE_NAME } = require('./constants');
+const {
+  ConfigError, setQuiet, isQuiet, logInfo, logWarning, normalizeUrl, getHostName, getServedPath
+} = require('./utils');
+const { normalizeConfig, resolveOptions } = require('./config');
+const { loadBaseline } = require('./baseline');
+const { loadSuppressions } = require('./suppressions');
+const { runQueue, logAuditStart, runAuditForSite, auditPage, evaluateThresholds, compareVariants } = require('./runner');
+const { generatePdfReport } = require('./pdf');
+const { REPORTERS, writeReport } = require('./reporters');
+const { loadHistory, createHistoryRun, compareWithPreviousRun, writeTrendDashboard } = require('./history');
+const { setLocale, getLocale, t } = require('./i18n');
+
+// Formats accepted by generateReports: the PDF report plus the additional reporters
+const REPORT_FORMATS = ['pdf', ...Object.keys(REPORTERS)];
+
+/**
+ * Load the baseline and the suppressions of resolved options and create the output directory.
+ *
+ * @param {object} options - Options from resolveOptions.
+ * @returns {Promise<object>} The same options, ready for runAuditForSite.
+ */
+async function prepareOptions(options) {
+  if (options.baselineFile) {
+    options.baseline = await loadBaseline(options.baselineFile);
+    logInfo(`📐 ${t('api.diffMode', { file: options.baselineFile })}`);
+  }
+  options.suppressions = await loadSuppressions(options.suppressionsFile);
+  if (options.suppressions.length > 0) logInfo(`🙈 ${t('api.suppressionsLoaded', { count: options.suppressions.length })}`);
+  await fs.mkdir(options.outDir, { recursive: true });
+  return options;
+}
+
+/**
+ * Apply the "quiet" and "locale" options of a Node API call: "quiet": true turns off the console output and
+ * "locale" selects the language of the messages and reports. Both are process-wide settings, so the caller
+ * restores the previous ones when the call is over.
+ *
+ * @param {object} options - Options given to the Node API.
+ * @returns {Function} Restores the previous settings.
+ */
+function applySettings({ quiet, locale }) {
+  const previous = { quiet: isQuiet(), locale: getLocale() };
+  if (locale !== undefined) setLocale(locale);
+  if (quiet !== undefined) setQuiet(quiet);
+  return () => {
+    setQuiet(previous.quiet);
+    setLocale(previous.locale);
+  };
+}
+
+/**
+ * Resolve the options given to the Node API. They use the keys of the config file; relative paths are
+ * resolved against the working directory and reports go to "reports/" in it unless "out" is set.
+ * "quiet" and "locale" are left to applySettings.
+ *
+ * @param {object} [options] - Options with the config file keys.
+ * @returns {Promise<object>} Options ready for runAuditForSite.
+ */
+async function resolveAuditOptions(options = {}) {
+  const { quiet, locale, ...config } = options;
+  const normalized = normalizeConfig({ out: 'reports', ...config }, process.cwd());
+  return prepareOptions(resolveOptions({ options: {} }, normalized));
+}
+
+/**
+ * Audit pages with prepared options, once per matrix configuration, through the bounded queue.
+ * The returned emitter reports progress with the events "start" ({ total }), "result"
+ * (summary, { completed, total }) and "end" (summaries). It is also an async iterable of the
+ * summaries in the order they complete, and its "done" promise resolves with all summaries
+ * in the order of the pages.
+ *
+ * @param {string[]} sites - Normalized URLs of the pages.
+ * @param {object|Promise<object>} preparedOptions - Options from prepareOptions (or a promise of them).
+ * @param {Map<string, string>} [crawlRoots] - Start URL of every crawled page.
+ * @returns {EventEmitter} The audit run.
+ */
+function runAudits(sites, preparedOptions, crawlRoots = new Map()) {
+  const run = new EventEmitter();
+  const pending = [];
+  const waiting = [];
+  let finished = false;
+  let failure = null;
+  const notify = () => {
+    while (waiting.length > 0) waiting.shift()();
+  };
+
+  run.done = (async () => {
+    // Give the caller a chance to subscribe before the first event
+    await null;
+    const options = await preparedOptions;
+    // Every site is audited once per matrix configuration
+    const jobs = sites.flatMap(site => options.matrix.map(variant => ({ site, variant })));
+    const total = jobs.length;
+    let completed = 0;
+    run.emit('start', { total });
+    logInfo(`\n🚦 ${t('api.running', { count: total, concurrency: options.concurrency })}`);
+
+    // Once the global timeout passes, running audits are stopped and remaining sites are skipped
+    const deadline = options.globalTimeout > 0 ? Date.now() + options.globalTimeout : Infinity;
+    const browser = await chromium.launch({ headless: true });
+    let results;
+    try {
+      results = await runQueue(jobs, options.concurrency, async ({ site, variant }) => {
+        let summary;
+        if (Date.now() > deadline) {
+          logWarning(`⌛ ${t('api.skipping', { site })}`);
+          summary = {
+            site, siteName: getHostName(site), servedPath: getServedPath(site, options.serverUrl),
+            variant: variant ? variant.name : undefined, error: t('api.skipped'), duration: 0
+          };
+        } else {
+          try {
+            summary = await runAuditForSite(site, options, browser, variant, deadline);
+          } catch (error) {
+            summary = {
+              site, siteName: getHostName(site), variant: variant ? variant.name : undefined, error: error.message, duration: 0
+            };
+          }
+        }
+        summary = { ...summary, crawlRoot: crawlRoots.get(site) };
+        completed++;
+        run.emit('result', summary, { completed, total });
+        pending.push(summary);
+        notify();
+        return summary;
+      });
+    } finally {
+      await browser.close();
+    }
+    const summaries = results.map(result => result.value);
+    for (const comparison of compareVariants(summaries)) {
+      logInfo(`📱 ${t('api.configurationSpecific', { site: comparison.site, count: comparison.specific.length })}`);
+    }
+    run.emit('end', summaries);
+    return summaries;
+  })();
+  run.done
+    .catch(error => {
+      failure = error;
+    })
+    .finally(() => {
+      finished = true;
+      notify();
+    });
+
+  run[Symbol.asyncIterator] = async function* iterateSummaries() {
+    while (true) {
+      if (pending.length > 0) {
+        yield pending.shift();
+      } else if (finished) {
+        if (failure) throw failure;
+        return;
+      } else {
+        await new Promise(resolve => waiting.push(resolve));
+      }
+    }
+  };
+  return run;
+}
+
+/**
+ * Audit several pages (URLs or local HTML files). See runAudits for the returned emitter.
+ *
+ * @param {string[]} sites - URLs or local HTML files.
+ * @param {object} [options] - Options with the config file keys (see resolveAuditOptions).
+ * @returns {EventEmitter} The audit run; await its "done" promise for all summaries.
+ */
+function auditSites(sites, options = {}) {
+  const restoreSettings = applySettings(options);
+  let run;
+  try {
+    run = runAudits(sites.map(normalizeUrl), resolveAuditOptions(options));
+  } catch (error) {
+    restoreSettings();
+    throw error;
+  }
+  run.done.then(restoreSettings, restoreSettings);
+  return run;
+}
+
+/**
+ * Audit a single page, given as a URL (or local HTML file) or as an open Playwright page.
+ * An open page is audited as it is, without navigating; auth and matrix options do not apply to it.
+ *
+ * @param {string|object} urlOrPage - URL, local HTML file or Playwright page.
+ * @param {object} [options] - Options with the config file keys (see resolveAuditOptions).
+ * @returns {Promise<object>} { site, passed, violations, summaries } where summaries has one summary per
+ *   matrix configuration, each with its "thresholdFailures", and violations lists the violations of all of them.
+ */
+async function audit(urlOrPage, options = {}) {
+  const isPage = urlOrPage && typeof urlOrPage.url === 'function' && typeof urlOrPage.evaluate === 'function';
+  if (typeof urlOrPage !== 'string' && !isPage) throw new ConfigError('audit() needs a URL or a Playwright page.');
+  const restoreSettings = applySettings(options);
+  let resolved;
+  let summaries;
+  let site;
+  try {
+    resolved = await resolveAuditOptions(options);
+    if (isPage) {
+      site = urlOrPage.url();
+      logAuditStart(site, resolved);
+      summaries = [await auditPage(urlOrPage, site, resolved)];
+    } else {
+      site = normalizeUrl(urlOrPage);
+      summaries = await runAudits([site], resolved).done;
+    }
+  } finally {
+    restoreSettings();
+  }
+  const checked = summaries.map(summary => ({
+    ...summary,
+    thresholdFailures: summary.error ? [] : evaluateThresholds(summary, resolved.thresholds)
+  }));
+  return {
+    site,
+    passed: checked.every(summary => !summary.error && summary.thresholdFailures.length === 0),
+    violations: checked.flatMap(summary => summary.violations || []),
+    summaries: checked
+  };
+}
+
+/**
+ * Generate combined reports of audit results: "pdf" and the formats of the additional reporters
+ * ("junit", "sarif", "csv").
+ *
+ * @param {object[]} results - Results of audit() or summaries of auditSites().
+ * @param {string[]} [formats] - Report formats.
+ * @param {object} [options] - { out, history, wcagTags, pdfFont }: with history the run is recorded in the run history,
+ *   the PDF report compares it with the previous run and the trend dashboard is regenerated; pdfFont is
+ *   a TrueType font for the PDF text.
+ * @returns {Promise<object>} Path of every generated report by format, plus "dashboard" with history.
+ */
+async function generateReports(results, formats = ['pdf'], { out = 'reports', history = false, wcagTags = [], pdfFont } = {}) {
+  const unknown = formats.filter(format => !REPORT_FORMATS.includes(format));
+  if (unknown.length > 0) {
+    throw new ConfigError(`Unknown report format: ${unknown.join(', ')} (available: ${REPORT_FORMATS.join(', ')}).`);
+  }
+  const summaries = results.flatMap(result => result.summaries || [result]);
+  const outDir = path.resolve(out);
+  await fs.mkdir(outDir, { recursive: true });
+
+  // Compare with the run history before recording this run in it
+  const runHistory = history ? await loadHistory(outDir) : null;
+  const historyRun = createHistoryRun(summaries, new Date().toISOString());
+  const trend = runHistory ? compareWithPreviousRun(runHistory, historyRun) : [];
+
+  const paths = {};
+  for (const format of formats) {
+    if (format === 'pdf') {
+      const totalDuration = summaries.reduce((sum, summary) => sum + summary.duration, 0);
+      paths.pdf = await generatePdfReport(summaries, totalDuration, outDir, { trend, wcagTags, font: pdfFont });
+    } else {
+      paths[format] = await writeReport(format, summaries, outDir);
+    }
+  }
+  if (runHistory) {
+    runHistory.runs.push(historyRun);
+    await fs.writeFile(path.join(outDir, HISTORY_FILE_NAME), JSON.stringify(runHistory, null, 2));
+    paths.dashboard = await writeTrendDashboard(runHistory, outDir);
+  }
+  return paths;
+}
+
+module.exports = {
+  REPORT_FORMATS, prepareOptions, resolveAuditOptions, runAudits, auditSites, audit, generateReports
+};
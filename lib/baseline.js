@@ -0,0 +1,161 @@
+// Baseline snapshots and diff mode
+
+const fs = require('fs/promises');
+const path = require('path');
+const { ConfigError, formatTarget } = require('./utils');
+
+// Key identifying a single violating node on a page (in one matrix configuration)
+function baselineKey(page, rule, target, variant) {
+  return `${page}\n${variant || ''}\n${rule}\n${target}`;
+}
+
+// Page of a JSON report: its URL, or its path for pages of the static server (whose port changes between runs)
+function getReportPage(results) {
+  return results.servedPath || results.url;
+}
+
+// Name of the matrix configuration of a JSON report, if any
+function getReportVariant(results) {
+  return results.configuration && results.configuration.name ? results.configuration.name : undefined;
+}
+
+// Flatten axe results into baseline entries (page + matrix configuration + rule id + node target)
+function toBaselineEntries(results) {
+  const variant = getReportVariant(results);
+  const entries = [];
+  for (const violation of results.violations) {
+    for (const node of violation.nodes) {
+      const entry = { page: getReportPage(results), rule: violation.id, target: formatTarget(node.target) };
+      entries.push(variant ? { ...entry, variant } : entry);
+    }
+  }
+  return entries;
+}
+
+// Find the latest JSON report of each page (and matrix configuration) in the reports directory
+async function findLatestReports(reportDir) {
+  let files;
+  try {
+    files = await fs.readdir(reportDir);
+  } catch (error) {
+    throw new ConfigError(`Could not read reports directory ${reportDir}: ${error.message}`);
+  }
+  const latest = new Map();
+  for (const file of files.filter(f => f.endsWith('.json'))) {
+    const reportPath = path.join(reportDir, file);
+    const results = await readAxeReport(reportPath).catch(() => null);
+    if (!results) continue;
+    const key = `${getReportPage(results)}\n${getReportVariant(results) || ''}`;
+    const current = latest.get(key);
+    if (!current || results.timestamp > current.timestamp) latest.set(key, results);
+  }
+  return [...latest.values()];
+}
+
+// Read an axe JSON report, returning null when the file is not one
+async function readAxeReport(reportPath) {
+  const results = JSON.parse(await fs.readFile(reportPath, 'utf-8'));
+  return results && typeof results.url === 'string' && Array.isArray(results.violations) ? results : null;
+}
+
+/**
+ * Load axe JSON reports: the given files, or the latest report of each page (and matrix configuration)
+ * in a reports directory.
+ *
+ * @param {string[]} reportPaths - JSON reports to use; when empty, the latest report of each page (and matrix configuration) in reportDir.
+ * @param {string} reportDir - Directory searched for reports.
+ * @returns {Promise<object[]>} axe results of the reports.
+ */
+async function loadAxeReports(reportPaths, reportDir) {
+  let reports;
+  if (reportPaths.length > 0) {
+    reports = [];
+    for (const reportPath of reportPaths) {
+      const results = await readAxeReport(path.resolve(reportPath)).catch(error => {
+        throw new ConfigError(`Could not read report ${reportPath}: ${error.message}`);
+      });
+      if (!results) throw new ConfigError(`${reportPath} is not an axe JSON report.`);
+      reports.push(results);
+    }
+  } else {
+    reports = await findLatestReports(reportDir);
+  }
+  if (reports.length === 0) throw new ConfigError(`No JSON reports found in ${reportDir}.`);
+  return reports;
+}
+
+/**
+ * Snapshot the violations from JSON reports into a baseline file.
+ *
+ * @param {string[]} reportPaths - JSON reports to use; when empty, the latest report of each page (and matrix configuration) in reportDir.
+ * @param {string} reportDir - Directory searched for reports.
+ * @param {string} baselineFile - Path of the baseline file to write.
+ * @returns {Promise<number>} Number of entries written.
+ */
+async function createBaseline(reportPaths, reportDir, baselineFile) {
+  const reports = await loadAxeReports(reportPaths, reportDir);
+  const entries = reports.flatMap(toBaselineEntries);
+  const baseline = {
+    createdAt: new Date().toISOString(),
+    pages: [...new Set(reports.map(getReportPage))],
+    entries
+  };
+  await fs.writeFile(baselineFile, JSON.stringify(baseline, null, 2));
+  return entries.length;
+}
+
+// Load a baseline file into a Set of keys for fast lookups
+async function loadBaseline(baselineFile) {
+  let baseline;
+  try {
+    baseline = JSON.parse(await fs.readFile(baselineFile, 'utf-8'));
+  } catch (error) {
+    throw new ConfigError(`Could not load baseline ${baselineFile}: ${error.message}`);
+  }
+  if (!baseline || !Array.isArray(baseline.entries)) {
+    throw new ConfigError(`Baseline ${baselineFile} has no "entries" list.`);
+  }
+  return {
+    keys: new Set(baseline.entries.map(entry => baselineKey(entry.page, entry.rule, entry.target, entry.variant))),
+    entries: baseline.entries
+  };
+}
+
+/**
+ * Classify the violations of a page against the baseline.
+ *
+ * @param {object} results - Results from axe-core analysis.
+ * @param {object} baseline - Baseline loaded with loadBaseline.
+ * @param {string} [variant] - Name of the matrix configuration the page was audited in.
+ * @returns {object} { newViolations, counts: { new, fixed, unchanged }, fixed } where newViolations keeps the
+ *   axe violation shape with only the nodes missing from the baseline, and fixed lists baseline entries
+ *   of this page (and configuration) that are no longer reported.
+ */
+function diffAgainstBaseline(results, baseline, variant) {
+  const page = getReportPage(results);
+  const currentKeys = new Set();
+  let unchanged = 0;
+  const newViolations = [];
+  for (const violation of results.violations) {
+    const newNodes = violation.nodes.filter(node => {
+      const key = baselineKey(page, violation.id, formatTarget(node.target), variant);
+      currentKeys.add(key);
+      if (baseline.keys.has(key)) {
+        unchanged++;
+        return false;
+      }
+      return true;
+    });
+    if (newNodes.length > 0) newViolations.push({ ...violation, nodes: newNodes });
+  }
+  const fixed = baseline.entries.filter(entry =>
+    entry.page === page && (entry.variant || '') === (variant || '') &&
+    !currentKeys.has(baselineKey(entry.page, entry.rule, entry.target, entry.variant))
+  );
+  const newCount = newViolations.reduce((sum, v) => sum + v.nodes.length, 0);
+  return { newViolations, fixed, counts: { new: newCount, fixed: fixed.length, unchanged } };
+}
+
+module.exports = {
+  loadAxeReports, createBaseline, loadBaseline, diffAgainstBaseline
+};
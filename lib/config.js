@@ -0,0 +1,642 @@
+// Command-line arguments, the config file and resolution of the audit options
+
+const { devices } = require('playwright');
+const fs = require('fs/promises');
+const path = require('path');
+const { parseArgs } = require('util');
+const {
+  REPORT_DIR, LOCAL_PAGES_DIR, SITES_FILE, CONFIG_FILE, DEFAULT_TIMEOUT, DEFAULT_CONCURRENCY, DEFAULT_RETRIES,
+  DEFAULT_MAX_TABS, CRAWL_DEFAULTS, REFLOW_DEFAULTS, IMPACT_LEVELS
+} = require('./constants');
+const { ConfigError, logWarning, normalizeUrl, getWcagTags, splitList, compilePatterns } = require('./utils');
+const { REPORTERS } = require('./reporters');
+const { findHtmlFiles } = require('./server');
+const { listLocales, t } = require('./i18n');
+
+// Command-line options (see printUsage for descriptions)
+const CLI_OPTIONS = {
+  level: { type: 'string', short: 'l' },
+  'best-practice': { type: 'boolean' },
+  'no-best-practice': { type: 'boolean' },
+  rules: { type: 'string', short: 'r' },
+  screenshot: { type: 'boolean' },
+  'no-screenshot': { type: 'boolean' },
+  sites: { type: 'string', short: 's' },
+  out: { type: 'string', short: 'o' },
+  'max-violations': { type: 'string' },
+  'max-impact': { type: 'string' },
+  'fail-on-rules': { type: 'string' },
+  baseline: { type: 'string', short: 'b' },
+  suppressions: { type: 'string' },
+  serve: { type: 'string' },
+  watch: { type: 'boolean', short: 'w' },
+  crawl: { type: 'string', multiple: true },
+  depth: { type: 'string' },
+  'max-pages': { type: 'string' },
+  include: { type: 'string', multiple: true },
+  exclude: { type: 'string', multiple: true },
+  'ignore-robots': { type: 'boolean' },
+  concurrency: { type: 'string' },
+  retries: { type: 'string' },
+  timeout: { type: 'string' },
+  'global-timeout': { type: 'string' },
+  keyboard: { type: 'boolean' },
+  reflow: { type: 'boolean' },
+  format: { type: 'string', short: 'f' },
+  'no-history': { type: 'boolean' },
+  locale: { type: 'string' },
+  config: { type: 'string', short: 'c' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+// Commands other than the default audit
+const COMMANDS = ['baseline', 'trend', 'statement'];
+
+// Load sites from local HTML files and sites.json (or another sites file)
+async function loadSites(sitesFile = SITES_FILE) {
+  let sites = [];
+  try {
+    const localFiles = await findHtmlFiles(LOCAL_PAGES_DIR);
+    const localSites = localFiles.map(file => path.join('local_pages', file));
+    sites = sites.concat(localSites);
+  } catch (error) {
+    logWarning(`❌ ${t('config.noLocalPages')}`);
+  }
+  try {
+    const fileContent = await fs.readFile(sitesFile, 'utf-8');
+    const jsonSites = JSON.parse(fileContent);
+    if (Array.isArray(jsonSites)) sites = sites.concat(jsonSites);
+  } catch (error) {
+    logWarning(`❌ ${t('config.invalidSitesFile', { file: path.basename(sitesFile) })}`);
+  }
+  return sites;
+}
+
+// Parse "critical=0,serious=5" into { critical: '0', serious: '5' }
+function parseImpactLimits(value) {
+  const limits = {};
+  for (const entry of splitList(value)) {
+    const [impact, limit] = entry.split('=').map(part => part.trim());
+    if (!impact || limit === undefined) {
+      throw new ConfigError(`Invalid --max-impact entry "${entry}" (expected impact=number).`);
+    }
+    limits[impact] = limit;
+  }
+  return limits;
+}
+
+// Validate a non-negative integer threshold, accepting numbers or numeric strings
+function toLimit(value, name) {
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 0) {
+    throw new ConfigError(`Threshold ${name} must be a non-negative integer, got "${value}".`);
+  }
+  return limit;
+}
+
+/**
+ * Validate and normalize thresholds from the CLI or config file.
+ *
+ * @param {object} [thresholds] - { maxViolations, maxPerImpact: { critical, serious, ... }, failOnRules }.
+ * @returns {object} Normalized thresholds with numeric limits (empty object when none are set).
+ */
+function normalizeThresholds(thresholds = {}) {
+  if (!thresholds || typeof thresholds !== 'object' || Array.isArray(thresholds)) {
+    throw new ConfigError('"thresholds" must be an object.');
+  }
+  const normalized = {};
+  if (thresholds.maxViolations !== undefined) {
+    normalized.maxViolations = toLimit(thresholds.maxViolations, 'maxViolations');
+  }
+  if (thresholds.maxPerImpact !== undefined) {
+    normalized.maxPerImpact = {};
+    for (const [impact, limit] of Object.entries(thresholds.maxPerImpact)) {
+      if (!IMPACT_LEVELS.includes(impact)) {
+        throw new ConfigError(`Unknown impact level "${impact}" (expected one of: ${IMPACT_LEVELS.join(', ')}).`);
+      }
+      normalized.maxPerImpact[impact] = toLimit(limit, `maxPerImpact.${impact}`);
+    }
+  }
+  if (thresholds.failOnRules !== undefined) {
+    normalized.failOnRules = splitList(thresholds.failOnRules);
+  }
+  return normalized;
+}
+
+// Parse command-line arguments into options (only the ones actually given) and site URLs
+function parseCliArgs(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: CLI_OPTIONS, allowPositionals: true });
+  } catch (error) {
+    throw new ConfigError(error.message);
+  }
+  const { values, positionals } = parsed;
+  const options = {};
+  if (values.level !== undefined) options.level = values.level;
+  if (values['best-practice']) options.bestPractice = true;
+  if (values['no-best-practice']) options.bestPractice = false;
+  if (values.rules !== undefined) options.rules = splitList(values.rules);
+  if (values.screenshot) options.screenshot = true;
+  if (values['no-screenshot']) options.screenshot = false;
+  if (values.sites !== undefined) options.sites = values.sites;
+  if (values.out !== undefined) options.out = values.out;
+  if (values.baseline !== undefined) options.baseline = values.baseline;
+  if (values.suppressions !== undefined) options.suppressions = values.suppressions;
+  if (values.concurrency !== undefined) options.concurrency = values.concurrency;
+  if (values.retries !== undefined) options.retries = values.retries;
+  if (values.timeout !== undefined) options.timeout = values.timeout;
+  if (values['global-timeout'] !== undefined) options.globalTimeout = values['global-timeout'];
+  if (values.keyboard) options.keyboard = true;
+  if (values.reflow) options.reflow = true;
+  if (values.format !== undefined) options.formats = splitList(values.format);
+  if (values['no-history']) options.history = false;
+  if (values.locale !== undefined) options.locale = values.locale;
+  const thresholds = {};
+  if (values['max-violations'] !== undefined) thresholds.maxViolations = values['max-violations'];
+  if (values['max-impact'] !== undefined) thresholds.maxPerImpact = parseImpactLimits(values['max-impact']);
+  if (values['fail-on-rules'] !== undefined) thresholds.failOnRules = splitList(values['fail-on-rules']);
+  if (Object.keys(thresholds).length > 0) options.thresholds = thresholds;
+  if (values.serve !== undefined) options.serve = { dir: path.resolve(values.serve) };
+  if (values.watch) options.watch = true;
+  const crawl = {};
+  if (values.crawl !== undefined) crawl.start = values.crawl;
+  if (values.depth !== undefined) crawl.depth = values.depth;
+  if (values['max-pages'] !== undefined) crawl.maxPages = values['max-pages'];
+  if (values.include !== undefined) crawl.include = values.include;
+  if (values.exclude !== undefined) crawl.exclude = values.exclude;
+  if (values['ignore-robots']) crawl.respectRobots = false;
+  if (Object.keys(crawl).length > 0) options.crawl = crawl;
+  // A command name as the first positional argument selects that command instead of an audit
+  const command = COMMANDS.includes(positionals[0]) ? positionals.shift() : 'audit';
+  return { command, options, urls: positionals, configFile: values.config, help: Boolean(values.help) };
+}
+
+/**
+ * Load options from a JSON config file (a11y.config.json by default).
+ * Supported keys: level, bestPractice, rules, screenshot, sites (array of URLs or path to a sites file), out,
+ * thresholds, baseline, suppressions, overrides, serve, watch, crawl, concurrency, retries, timeout, globalTimeout, auth, flows,
+ * matrix, keyboard, reflow, formats, history, locale, pdfFont, statement.
+ * A missing default config is not an error; a missing explicitly requested one is.
+ *
+ * @param {string} [configFile] - Path given via --config.
+ * @returns {Promise<object>} Options from the config file, with paths resolved relative to it.
+ */
+async function loadConfig(configFile) {
+  const configPath = configFile ? path.resolve(configFile) : CONFIG_FILE;
+  let content;
+  try {
+    content = await fs.readFile(configPath, 'utf-8');
+  } catch (error) {
+    if (!configFile && error.code === 'ENOENT') return {};
+    throw new ConfigError(`Could not read config file ${configPath}: ${error.message}`);
+  }
+  let config;
+  try {
+    config = JSON.parse(content);
+  } catch (error) {
+    throw new ConfigError(`Invalid JSON in config file ${configPath}: ${error.message}`);
+  }
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new ConfigError(`Config file ${configPath} must contain a JSON object.`);
+  }
+  return normalizeConfig(config, path.dirname(configPath));
+}
+
+/**
+ * Validate the options of a config file (or of the Node API) and resolve their paths.
+ *
+ * @param {object} config - Options with the config file keys.
+ * @param {string} configDir - Directory relative paths are resolved against.
+ * @returns {object} Normalized options.
+ */
+function normalizeConfig(config, configDir) {
+  const options = { ...config };
+  if (options.thresholds !== undefined) options.thresholds = normalizeThresholds(options.thresholds);
+  if (options.serve !== undefined) options.serve = normalizeServe(options.serve, configDir);
+  if (options.crawl !== undefined && (!options.crawl || typeof options.crawl !== 'object' || Array.isArray(options.crawl))) {
+    throw new ConfigError('"crawl" in the config file must be an object.');
+  }
+  if (options.rules !== undefined) options.rules = splitList(options.rules);
+  if (typeof options.sites === 'string') options.sites = path.resolve(configDir, options.sites);
+  if (typeof options.out === 'string') options.out = path.resolve(configDir, options.out);
+  if (typeof options.baseline === 'string') options.baseline = path.resolve(configDir, options.baseline);
+  if (typeof options.suppressions === 'string') options.suppressions = path.resolve(configDir, options.suppressions);
+  if (typeof options.pdfFont === 'string') options.pdfFont = path.resolve(configDir, options.pdfFont);
+  if (options.overrides !== undefined) options.overrides = normalizeOverrides(options.overrides);
+  if (options.auth !== undefined) options.auth = normalizeAuthProfiles(options.auth, configDir);
+  if (options.flows !== undefined) options.flows = normalizeFlows(options.flows);
+  if (options.matrix !== undefined) options.matrix = normalizeMatrix(options.matrix);
+  if (options.statement !== undefined) options.statement = normalizeStatement(options.statement);
+  return options;
+}
+
+// Allowed values of the emulation options of a matrix entry
+const EMULATION_VALUES = {
+  colorScheme: ['light', 'dark', 'no-preference'],
+  reducedMotion: ['reduce', 'no-preference'],
+  forcedColors: ['active', 'none']
+};
+
+// Supported step actions (login steps and user-journey flows) and the fields each one requires
+const STEP_ACTIONS = {
+  goto: ['url'],
+  fill: ['selector', 'value'],
+  click: ['selector'],
+  press: ['selector', 'key'],
+  hover: ['selector'],
+  waitForUrl: ['url'],
+  waitForSelector: ['selector']
+};
+
+// Replace ${VAR} references with environment variables so secrets stay out of the config file
+function expandEnv(value, name) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{(\w+)\}/g, (_, variable) => {
+      if (process.env[variable] === undefined) {
+        throw new ConfigError(`Environment variable ${variable} used in ${name} is not set.`);
+      }
+      return process.env[variable];
+    });
+  }
+  if (Array.isArray(value)) return value.map(item => expandEnv(item, name));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, expandEnv(item, name)]));
+  }
+  return value;
+}
+
+// Validate a list of steps, checking the action name and its required fields
+function validateSteps(steps, name) {
+  if (!Array.isArray(steps)) throw new ConfigError(`${name} must be an array of steps.`);
+  steps.forEach((step, index) => {
+    const required = step && STEP_ACTIONS[step.action];
+    if (!required) {
+      throw new ConfigError(`${name}[${index}] has unknown action "${step && step.action}" (expected one of: ${Object.keys(STEP_ACTIONS).join(', ')}).`);
+    }
+    const missing = required.filter(field => typeof step[field] !== 'string');
+    if (missing.length > 0) throw new ConfigError(`${name}[${index}] (${step.action}) needs: ${missing.join(', ')}.`);
+  });
+  return steps;
+}
+
+/**
+ * Validate the "auth" entries of the config file. Each entry applies to one origin and may combine
+ * a Playwright storageState file, extra headers, cookies, HTTP basic credentials and login steps.
+ *
+ * @param {object[]} auth - Auth entries from the config file.
+ * @param {string} configDir - Directory of the config file, used to resolve storageState paths.
+ * @returns {object[]} Profiles: { origin, storageState, headers, cookies, httpCredentials, login }.
+ */
+function normalizeAuthProfiles(auth, configDir) {
+  if (!Array.isArray(auth)) throw new ConfigError('"auth" in the config file must be an array.');
+  return auth.map((entry, index) => {
+    const name = `auth[${index}]`;
+    if (!entry || typeof entry.origin !== 'string') throw new ConfigError(`${name} needs an "origin".`);
+    const profile = expandEnv(entry, name);
+    const origin = new URL(normalizeUrl(profile.origin)).origin;
+    const login = validateSteps(profile.login || [], `${name}.login`);
+    return {
+      origin,
+      storageState: profile.storageState ? path.resolve(configDir, profile.storageState) : undefined,
+      headers: profile.headers,
+      // Cookies without a url/domain apply to the profile's origin
+      cookies: (profile.cookies || []).map(cookie => (cookie.url || cookie.domain ? cookie : { ...cookie, url: origin })),
+      httpCredentials: profile.httpCredentials,
+      login
+    };
+  });
+}
+
+/**
+ * Validate the "flows" entries of the config file: user journeys run on a site after it loads,
+ * with an axe scan after every step marked with "scan": true.
+ *
+ * @param {object[]} flows - Flow entries from the config file: { site, steps }.
+ * @returns {object[]} Flows with the site normalized like the audited URLs.
+ */
+function normalizeFlows(flows) {
+  if (!Array.isArray(flows)) throw new ConfigError('"flows" in the config file must be an array.');
+  return flows.map((flow, index) => {
+    const name = `flows[${index}]`;
+    if (!flow || typeof flow.site !== 'string') throw new ConfigError(`${name} needs a "site".`);
+    return { site: normalizeUrl(flow.site), steps: validateSteps(expandEnv(flow.steps, name), `${name}.steps`) };
+  });
+}
+
+/**
+ * Validate the per-site "overrides" of the config file. Every override applies to the pages whose URL
+ * matches its "url" regular expression; later overrides win over earlier ones.
+ *
+ * @param {object[]} overrides - Entries: { url, level, bestPractice, tags, include, exclude, disableRules }.
+ * @returns {object[]} Overrides with a compiled "pattern" and list options split into arrays.
+ */
+function normalizeOverrides(overrides) {
+  if (!Array.isArray(overrides)) throw new ConfigError('"overrides" in the config file must be an array.');
+  return overrides.map((override, index) => {
+    const name = `overrides[${index}]`;
+    if (!override || typeof override.url !== 'string') throw new ConfigError(`${name} needs a "url" pattern.`);
+    if (override.level !== undefined) getWcagTags(override.level, { strict: true, name: `${name}.level` });
+    return {
+      url: override.url,
+      pattern: compilePatterns([override.url], `${name}.url`)[0],
+      level: override.level !== undefined ? String(override.level).toUpperCase().trim() : undefined,
+      bestPractice: override.bestPractice,
+      tags: override.tags !== undefined ? splitList(override.tags) : undefined,
+      include: splitList(override.include || []),
+      exclude: splitList(override.exclude || []),
+      disableRules: splitList(override.disableRules || [])
+    };
+  });
+}
+
+// Details of the accessibility statement that cannot be derived from the audit
+const STATEMENT_DETAILS = ['organization', 'website', 'legislation', 'email', 'phone', 'responseTime', 'enforcement'];
+
+// Validate the "statement" option: an object with texts for the accessibility statement
+function normalizeStatement(statement) {
+  if (!statement || typeof statement !== 'object' || Array.isArray(statement)) {
+    throw new ConfigError('"statement" in the config file must be an object.');
+  }
+  for (const [key, value] of Object.entries(statement)) {
+    if (!STATEMENT_DETAILS.includes(key)) {
+      throw new ConfigError(`Unknown statement option "${key}" (expected: ${STATEMENT_DETAILS.join(', ')}).`);
+    }
+    if (typeof value !== 'string') throw new ConfigError(`statement.${key} must be a string.`);
+  }
+  return { ...statement };
+}
+
+/**
+ * Validate the "matrix" entries of the config file. Every audited page is audited once per entry.
+ * An entry may use a Playwright device descriptor ("device"), a viewport and emulated user preferences.
+ *
+ * @param {object[]} matrix - Matrix entries: { name, device, viewport, colorScheme, reducedMotion, forcedColors }.
+ * @returns {object[]} Variants: { name, contextOptions } where contextOptions go to browser.newContext().
+ */
+function normalizeMatrix(matrix) {
+  if (!Array.isArray(matrix) || matrix.length === 0) {
+    throw new ConfigError('"matrix" in the config file must be a non-empty array.');
+  }
+  const names = new Set();
+  return matrix.map((entry, index) => {
+    const name = `matrix[${index}]`;
+    if (!entry || typeof entry !== 'object') throw new ConfigError(`${name} must be an object.`);
+    const contextOptions = {};
+    if (entry.device !== undefined) {
+      if (!devices[entry.device]) throw new ConfigError(`${name} uses unknown device "${entry.device}".`);
+      // Audits always run in Chromium, whatever browser the descriptor was made for
+      const { defaultBrowserType, ...descriptor } = devices[entry.device];
+      Object.assign(contextOptions, descriptor);
+    }
+    if (entry.viewport !== undefined) {
+      const { width, height } = entry.viewport || {};
+      if (!Number.isInteger(width) || !Number.isInteger(height)) {
+        throw new ConfigError(`${name}.viewport needs integer "width" and "height".`);
+      }
+      contextOptions.viewport = { width, height };
+    }
+    for (const [option, allowed] of Object.entries(EMULATION_VALUES)) {
+      if (entry[option] === undefined) continue;
+      if (!allowed.includes(entry[option])) {
+        throw new ConfigError(`${name}.${option} must be one of: ${allowed.join(', ')}.`);
+      }
+      contextOptions[option] = entry[option];
+    }
+    const variantName = String(entry.name || entry.device || `variant-${index + 1}`);
+    if (names.has(variantName)) throw new ConfigError(`${name} duplicates the name "${variantName}".`);
+    names.add(variantName);
+    return { name: variantName, contextOptions };
+  });
+}
+
+// Per-page timeout in milliseconds (navigation, crawler requests)
+function resolveTimeout(merged) {
+  return Math.max(1, toLimit(merged.timeout ?? DEFAULT_TIMEOUT, 'timeout'));
+}
+
+// Validate the WCAG level (A, AA or AAA, default AA) and return it in upper case
+function resolveLevel(level) {
+  const resolved = String(level || 'AA').toUpperCase().trim();
+  getWcagTags(resolved, { strict: true });
+  return resolved;
+}
+
+// Validate the additional report formats (see REPORTERS)
+function resolveFormats(formats) {
+  const names = formats === undefined ? [] : splitList(formats);
+  const unknown = names.filter(name => !REPORTERS[name]);
+  if (unknown.length > 0) {
+    throw new ConfigError(`Unknown report format(s): ${unknown.join(', ')} (expected: ${Object.keys(REPORTERS).join(', ')}).`);
+  }
+  return [...new Set(names)];
+}
+
+// Keyboard audit options: true, false or { maxTabs }
+function resolveKeyboardOptions(keyboard) {
+  if (!keyboard) return null;
+  const maxTabs = typeof keyboard === 'object' && keyboard.maxTabs !== undefined ? keyboard.maxTabs : DEFAULT_MAX_TABS;
+  return { maxTabs: Math.max(1, toLimit(maxTabs, 'keyboard.maxTabs')) };
+}
+
+// Reflow audit options: true, false or { width, textZoom }
+function resolveReflowOptions(reflow) {
+  if (!reflow) return null;
+  const settings = typeof reflow === 'object' ? reflow : {};
+  return {
+    width: Math.max(1, toLimit(settings.width ?? REFLOW_DEFAULTS.width, 'reflow.width')),
+    textZoom: Math.max(100, toLimit(settings.textZoom ?? REFLOW_DEFAULTS.textZoom, 'reflow.textZoom'))
+  };
+}
+
+// Resolve the list of sites: positional URLs win, then an explicit list from the config, then a sites file
+async function resolveSites(cli, config) {
+  if (cli.urls.length > 0) return cli.urls;
+  const sites = cli.options.sites !== undefined ? cli.options.sites : config.sites;
+  if (Array.isArray(sites)) return sites;
+  return loadSites(sites ? path.resolve(sites) : SITES_FILE);
+}
+
+/**
+ * Resolve the final audit options: CLI flags override the config file. Answers to the interactive
+ * prompts of the CLI are passed in as CLI options.
+ *
+ * @param {object} cli - Parsed command-line arguments (from parseCliArgs).
+ * @param {object} config - Options loaded from the config file.
+ * @returns {object} Options consumed by runAuditForSite: wcagTags, rules, screenshot, outDir, thresholds,
+ *   baselineFile (set only in diff mode), concurrency, retries, timeout, globalTimeout (0 = no limit), auth, flows
+ *   matrix (a single null variant when no matrix is configured), keyboard and reflow (null when disabled), formats,
+ *   history and pdfFont (a TrueType font for the PDF report).
+ */
+function resolveOptions(cli, config) {
+  const merged = { ...config, ...cli.options };
+  const wcagTags = getWcagTags(resolveLevel(merged.level), { strict: true });
+  return {
+    wcagTags: merged.bestPractice === false ? wcagTags.filter(tag => tag !== 'best-practice') : [...wcagTags],
+    rules: merged.rules || [],
+    screenshot: merged.screenshot === true,
+    outDir: merged.out ? path.resolve(merged.out) : REPORT_DIR,
+    // CLI thresholds override the config ones key by key
+    thresholds: normalizeThresholds({ ...config.thresholds, ...cli.options.thresholds }),
+    baselineFile: merged.baseline ? path.resolve(merged.baseline) : undefined,
+    suppressionsFile: merged.suppressions ? path.resolve(merged.suppressions) : undefined,
+    overrides: config.overrides || [],
+    concurrency: Math.max(1, toLimit(merged.concurrency ?? DEFAULT_CONCURRENCY, 'concurrency')),
+    retries: toLimit(merged.retries ?? DEFAULT_RETRIES, 'retries'),
+    timeout: resolveTimeout(merged),
+    globalTimeout: toLimit(merged.globalTimeout ?? 0, 'globalTimeout'),
+    auth: config.auth || [],
+    flows: config.flows || [],
+    matrix: config.matrix || [null],
+    keyboard: resolveKeyboardOptions(merged.keyboard),
+    reflow: resolveReflowOptions(merged.reflow),
+    formats: resolveFormats(merged.formats),
+    history: merged.history !== false,
+    pdfFont: merged.pdfFont
+  };
+}
+
+// Print command-line usage
+function printUsage() {
+  console.log(`
+Usage: node a11y_audit.js [options] [url ...]
+       node a11y_audit.js baseline [--baseline <file>] [--out <dir>] [report.json ...]
+       node a11y_audit.js trend [--out <dir>]
+       node a11y_audit.js statement [--level <A|AA|AAA>] [--out <dir>] [report.json ...]
+
+Options:
+  -l, --level <A|AA|AAA>     WCAG level to audit against (default: AA)
+      --best-practice        Include best-practice rules (default)
+      --no-best-practice     Exclude best-practice rules
+  -r, --rules <ids>          Comma-separated axe rule ids to run instead of the whole level
+      --screenshot           Capture a screenshot with highlighted violations
+      --no-screenshot        Skip the screenshot (default)
+  -s, --sites <file>         JSON file with the list of sites (default: sites.json)
+  -o, --out <dir>            Output directory for reports (default: reports/)
+      --suppressions <file>  Suppression file with accepted violations (default: a11y-suppressions.json, if present)
+      --max-violations <n>   Fail when a site has more than n violations
+      --max-impact <limits>  Fail when a site exceeds per-impact limits, e.g. critical=0,serious=5
+      --fail-on-rules <ids>  Fail when any of these comma-separated axe rules is violated
+  -b, --baseline <file>      Diff mode: only violations missing from this baseline count as new
+      --serve <dir>          Serve a directory on a local HTTP server and audit all its HTML pages
+  -w, --watch                Watch local_pages (or the served directory) and re-audit changed pages
+      --crawl <url>          Crawl mode: discover pages from a start URL or sitemap.xml (repeatable)
+      --depth <n>            Maximum link depth to follow when crawling (default: 2)
+      --max-pages <n>        Maximum number of pages discovered per start URL (default: 50)
+      --include <regex>      Only crawl URLs matching this pattern (repeatable)
+      --exclude <regex>      Skip URLs matching this pattern (repeatable)
+      --ignore-robots        Do not honour robots.txt when crawling
+      --concurrency <n>      Number of sites audited at the same time (default: 4)
+      --retries <n>          Navigation retries per site, with exponential backoff (default: 2)
+      --timeout <ms>         Per-page timeout (default: 30000)
+      --global-timeout <ms>  Stop starting new audits after this time (default: no limit)
+      --keyboard             Also audit keyboard navigation (focus order, traps, focus indicators)
+      --reflow               Also audit text resize and reflow (200% text on a 320px wide viewport)
+  -f, --format <names>       Additional combined reports: junit, sarif, csv (comma-separated)
+      --no-history           Do not record the run in the history / trend dashboard
+      --locale <code>        Language of the messages and reports: ${listLocales().join(', ')} (default: en)
+  -c, --config <file>        Config file (default: a11y.config.json, if present)
+  -h, --help                 Show this help
+
+When no level, best-practice, rules or screenshot option is given (on the command line
+or in the config file) and the program runs in a terminal, these are asked interactively.
+
+The baseline command snapshots the violations from the given JSON reports (by default the latest
+report of each page in the output directory) into the baseline file (default: a11y-baseline.json).
+The trend command regenerates the trend dashboard from the run history in the output directory.
+The statement command writes a draft accessibility statement (HTML and Markdown) from the given
+JSON reports (by default the latest report of each page in the output directory).
+
+Exit codes:
+  0  All sites audited and within thresholds
+  1  Thresholds exceeded on at least one site
+  2  At least one site could not be audited (e.g. unreachable); takes precedence over 1
+  3  Invalid command-line arguments or configuration
+  4  Unexpected error (e.g. the browser could not be launched)
+`);
+}
+
+// Validate the "serve" option: a directory, or { dir, port } to serve it on a fixed port
+function normalizeServe(serve, configDir) {
+  const { dir, port } = typeof serve === 'string' ? { dir: serve } : serve || {};
+  if (typeof dir !== 'string') throw new ConfigError('"serve" in the config file must be a directory or { "dir", "port" }.');
+  return { dir: path.resolve(configDir, dir), port: port !== undefined ? toLimit(port, 'serve.port') : 0 };
+}
+
+/**
+ * Resolve serve mode options: the directory served on a local HTTP server instead of the sites list.
+ *
+ * @param {object} cli - Parsed command-line arguments (from parseCliArgs).
+ * @param {object} config - Options loaded from the config file.
+ * @returns {object|null} { dir, port } (port 0 for a random free port), or null when serve mode is off.
+ */
+function resolveServeOptions(cli, config) {
+  if (!cli.options.serve && !config.serve) return null;
+  if (cli.urls.length > 0) throw new ConfigError('URLs cannot be combined with serve mode (--serve <dir>).');
+  if (config.crawl || cli.options.crawl) throw new ConfigError('Serve mode cannot be combined with crawl mode.');
+  return { port: 0, ...config.serve, ...cli.options.serve };
+}
+
+/**
+ * Resolve watch mode options. The served directory is watched in serve mode, local_pages otherwise.
+ *
+ * @param {object} cli - Parsed command-line arguments (from parseCliArgs).
+ * @param {object} config - Options loaded from the config file.
+ * @param {object|null} serve - Serve mode options (from resolveServeOptions).
+ * @returns {object|null} { dir } of the watched directory, or null when watch mode is off.
+ */
+function resolveWatchOptions(cli, config, serve) {
+  if (!(cli.options.watch ?? config.watch)) return null;
+  if (cli.urls.length > 0 || config.crawl || cli.options.crawl) {
+    throw new ConfigError('Watch mode audits local pages or a served directory and cannot be combined with URLs or crawl mode.');
+  }
+  return { dir: serve ? serve.dir : LOCAL_PAGES_DIR };
+}
+
+/**
+ * Resolve the options of the statement command.
+ *
+ * @param {object} cli - Parsed command-line arguments (from parseCliArgs).
+ * @param {object} config - Options loaded from the config file.
+ * @returns {object} { reports, outDir, level, details } where details are the "statement" options of the config file.
+ */
+function resolveStatementOptions(cli, config) {
+  const merged = { ...config, ...cli.options };
+  return {
+    reports: cli.urls,
+    outDir: merged.out ? path.resolve(merged.out) : REPORT_DIR,
+    level: resolveLevel(merged.level),
+    details: config.statement || {}
+  };
+}
+
+/**
+ * Resolve crawl mode options. CLI flags override the "crawl" object of the config file key by key.
+ *
+ * @param {object} cli - Parsed command-line arguments (from parseCliArgs).
+ * @param {object} config - Options loaded from the config file.
+ * @returns {object|null} { starts, timeout, depth, maxPages, include, exclude, respectRobots }, or null when crawl mode is off.
+ */
+function resolveCrawlOptions(cli, config) {
+  const crawl = { ...CRAWL_DEFAULTS, ...config.crawl, ...cli.options.crawl };
+  const starts = crawl.start ? splitList(crawl.start) : [];
+  if (starts.length === 0) {
+    if (config.crawl || cli.options.crawl) throw new ConfigError('Crawl mode needs a start URL (--crawl <url>).');
+    return null;
+  }
+  return {
+    starts: starts.map(normalizeUrl),
+    timeout: resolveTimeout({ ...config, ...cli.options }),
+    depth: toLimit(crawl.depth, 'crawl.depth'),
+    maxPages: toLimit(crawl.maxPages, 'crawl.maxPages'),
+    include: compilePatterns(crawl.include, 'include'),
+    exclude: compilePatterns(crawl.exclude, 'exclude'),
+    respectRobots: crawl.respectRobots !== false
+  };
+}
+
+module.exports = {
+  COMMANDS, normalizeThresholds, parseCliArgs, loadConfig, normalizeConfig, normalizeAuthProfiles, normalizeFlows,
+  normalizeOverrides, normalizeMatrix, resolveSites, resolveOptions, printUsage, resolveServeOptions, resolveWatchOptions,
+  resolveCrawlOptions, resolveStatementOptions
+};
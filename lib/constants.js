@@ -0,0 +1,97 @@
+// Paths, defaults and shared constants
+
+const path = require('path');
+
+// Default locations (relative to the project root) and limits
+const REPORT_DIR = path.resolve(__dirname, '..', 'reports');
+const LOCAL_PAGES_DIR = path.resolve(__dirname, '..', 'local_pages');
+const SITES_FILE = path.resolve(__dirname, '..', 'sites.json');
+const WCAG_CRITERIA_FILE = path.resolve(__dirname, '..', 'wcag_criteria.json');
+const CONFIG_FILE = path.resolve(__dirname, '..', 'a11y.config.json');
+const BASELINE_FILE = path.resolve(__dirname, '..', 'a11y-baseline.json');
+const SUPPRESSIONS_FILE = path.resolve(__dirname, '..', 'a11y-suppressions.json');
+const LOCALES_DIR = path.resolve(__dirname, '..', 'locales');
+const HISTORY_FILE_NAME = 'history.json';
+const DASHBOARD_FILE_NAME = 'trend_dashboard.html';
+const DEFAULT_TIMEOUT = 30000;
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_RETRIES = 2;
+const RETRY_BASE_DELAY = 2000;
+const DEFAULT_MAX_TABS = 300;
+// Limits for the per-element screenshots taken by highlightViolations
+const MAX_ELEMENT_SCREENSHOTS = 100;
+const ELEMENT_LOOKUP_TIMEOUT = 2000;
+const ELEMENT_SCREENSHOT_PADDING = 20;
+const CRAWLER_USER_AGENT = 'a11y_audit';
+const DEFAULT_LOCALE = 'en';
+
+// Unicode TrueType fonts looked up for PDF reports in other languages than English (the standard PDF fonts
+// only cover Western European characters); the first one found is used unless "pdfFont" is configured
+const PDF_FONT_CANDIDATES = [
+  '/usr/share/fonts/truetype/dejavu/DejaVuSans.ttf',
+  '/usr/share/fonts/dejavu/DejaVuSans.ttf',
+  '/usr/share/fonts/TTF/DejaVuSans.ttf',
+  '/usr/share/fonts/truetype/liberation/LiberationSans-Regular.ttf',
+  '/System/Library/Fonts/Supplemental/Arial.ttf',
+  '/Library/Fonts/Arial.ttf',
+  'C:\\Windows\\Fonts\\arial.ttf'
+];
+
+// Unicode monospace fonts for the HTML snippets in the PDF report, tried in this order
+const PDF_MONO_FONT_CANDIDATES = [
+  '/usr/share/fonts/truetype/dejavu/DejaVuSansMono.ttf',
+  '/usr/share/fonts/dejavu/DejaVuSansMono.ttf',
+  '/usr/share/fonts/TTF/DejaVuSansMono.ttf',
+  '/usr/share/fonts/truetype/liberation/LiberationMono-Regular.ttf',
+  '/System/Library/Fonts/Supplemental/Courier New.ttf',
+  '/Library/Fonts/Courier New.ttf',
+  'C:\\Windows\\Fonts\\cour.ttf'
+];
+
+// Crawl mode defaults
+const CRAWL_DEFAULTS = {
+  depth: 2,
+  maxPages: 50,
+  respectRobots: true
+};
+
+// Links to these file types are never crawled or audited
+const NON_HTML_EXTENSIONS = /\.(pdf|jpe?g|png|gif|svg|webp|ico|zip|gz|mp3|mp4|webm|avi|mov|docx?|xlsx?|pptx?|odt|css|js|json|xml|txt|rss)$/i;
+
+// Reflow audit defaults: the viewport width and the text size (in percent) of WCAG 1.4.10 and 1.4.4
+const REFLOW_DEFAULTS = {
+  width: 320,
+  textZoom: 200
+};
+
+// Watch mode: files that trigger a re-audit, and the delay that groups changes saved together
+const WATCHED_EXTENSIONS = /\.(html?|css|m?js)$/i;
+const WATCH_DEBOUNCE = 300;
+
+// Process exit codes
+const EXIT_CODES = {
+  OK: 0,
+  THRESHOLDS_EXCEEDED: 1,
+  SITE_UNREACHABLE: 2,
+  CONFIG_ERROR: 3,
+  UNEXPECTED_ERROR: 4
+};
+
+// axe impact levels, from most to least severe
+const IMPACT_LEVELS = ['critical', 'serious', 'moderate', 'minor'];
+
+// WCAG Levels Map
+const WCAG_LEVELS = {
+  A: ['wcag2a', 'wcag21a', 'best-practice'],
+  AA: ['wcag2a', 'wcag21a', 'wcag2aa', 'wcag21aa', 'best-practice'],
+  AAA: ['wcag2a', 'wcag21a', 'wcag2aa', 'wcag21aa', 'wcag2aaa', 'best-practice']
+};
+
+module.exports = {
+  REPORT_DIR, LOCAL_PAGES_DIR, SITES_FILE, WCAG_CRITERIA_FILE, CONFIG_FILE, BASELINE_FILE, SUPPRESSIONS_FILE,
+  LOCALES_DIR, HISTORY_FILE_NAME, DASHBOARD_FILE_NAME, DEFAULT_TIMEOUT, DEFAULT_CONCURRENCY, DEFAULT_RETRIES,
+  RETRY_BASE_DELAY, DEFAULT_MAX_TABS, MAX_ELEMENT_SCREENSHOTS, ELEMENT_LOOKUP_TIMEOUT,
+  ELEMENT_SCREENSHOT_PADDING, CRAWLER_USER_AGENT, DEFAULT_LOCALE, PDF_FONT_CANDIDATES, PDF_MONO_FONT_CANDIDATES,
+  CRAWL_DEFAULTS, NON_HTML_EXTENSIONS, REFLOW_DEFAULTS, WATCHED_EXTENSIONS, WATCH_DEBOUNCE, EXIT_CODES, IMPACT_LEVELS,
+  WCAG_LEVELS
+};
@@ -0,0 +1,170 @@
+// Color contrast analysis of the axe contrast violations: measured and required ratios and the nearest passing color
+
+const { escapeHtml, formatTarget } = require('./utils');
+const { t } = require('./i18n');
+
+// axe rules whose nodes carry the measured colors and ratios
+const CONTRAST_RULES = ['color-contrast', 'color-contrast-enhanced'];
+
+// Maximum number of elements listed in the HTML report summary
+const MAX_LISTED_ELEMENTS = 50;
+
+const BLACK = [0, 0, 0];
+const WHITE = [255, 255, 255];
+
+// Parse "#rgb", "#rrggbb", "#rrggbbaa" or "rgb(r, g, b)" into [r, g, b] (alpha is ignored)
+function parseColor(value) {
+  const text = String(value || '').trim().toLowerCase();
+  let match = text.match(/^#([\da-f]{3})$/);
+  if (match) return match[1].split('').map(digit => parseInt(digit + digit, 16));
+  match = text.match(/^#([\da-f]{6})([\da-f]{2})?$/);
+  if (match) return [0, 2, 4].map(index => parseInt(match[1].slice(index, index + 2), 16));
+  match = text.match(/^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)/);
+  if (match) return match.slice(1, 4).map(channel => Math.min(255, Math.round(Number(channel))));
+  return null;
+}
+
+function toHex(rgb) {
+  return `#${rgb.map(channel => channel.toString(16).padStart(2, '0')).join('')}`;
+}
+
+// Relative luminance as defined by WCAG 2
+function getLuminance(rgb) {
+  const [r, g, b] = rgb.map(channel => {
+    const value = channel / 255;
+    return value <= 0.03928 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * Contrast ratio of two colors as defined by WCAG 2.
+ *
+ * @param {number[]} first - [r, g, b] color.
+ * @param {number[]} second - [r, g, b] color.
+ * @returns {number} Ratio between 1 and 21.
+ */
+function getContrastRatio(first, second) {
+  const [lighter, darker] = [getLuminance(first), getLuminance(second)].sort((a, b) => b - a);
+  return (lighter + 0.05) / (darker + 0.05);
+}
+
+// Mix a color with black or white; amount 0 keeps the color, 1 gives the target
+function mix(rgb, target, amount) {
+  return rgb.map((channel, index) => Math.round(channel + (target[index] - channel) * amount));
+}
+
+/**
+ * Find the passing color closest to a color by darkening or lightening it until its contrast with
+ * the other color reaches the required ratio, keeping its hue.
+ *
+ * @param {number[]} rgb - Color to change.
+ * @param {number[]} against - Color it is compared with.
+ * @param {number} required - Required contrast ratio.
+ * @returns {object|null} { color, amount } where amount (0-1) is how far the color was mixed with black or white,
+ *   or null when neither black nor white reaches the ratio.
+ */
+function findPassingColor(rgb, against, required) {
+  const candidates = [BLACK, WHITE]
+    .filter(target => getContrastRatio(target, against) >= required)
+    .map(target => {
+      let low = 0;
+      let high = 1;
+      for (let step = 0; step < 20; step++) {
+        const middle = (low + high) / 2;
+        if (getContrastRatio(mix(rgb, target, middle), against) >= required) high = middle;
+        else low = middle;
+      }
+      // Rounding to whole channel values may lose a little contrast
+      let color = mix(rgb, target, high);
+      while (getContrastRatio(color, against) < required && high < 1) {
+        high = Math.min(1, high + 0.005);
+        color = mix(rgb, target, high);
+      }
+      return { color, amount: high };
+    });
+  if (candidates.length === 0) return null;
+  return candidates.sort((a, b) => a.amount - b.amount)[0];
+}
+
+// Suggest the smallest change of the text or the background color that reaches the ratio (text colors win ties)
+function suggestColor(foreground, background, required) {
+  const suggestions = [
+    { property: 'foreground', passing: findPassingColor(foreground, background, required), against: background },
+    { property: 'background', passing: findPassingColor(background, foreground, required), against: foreground }
+  ].filter(suggestion => suggestion.passing);
+  if (suggestions.length === 0) return null;
+  const { property, passing, against } = suggestions.sort((a, b) => a.passing.amount - b.passing.amount)[0];
+  return { property, color: toHex(passing.color), ratio: round(getContrastRatio(passing.color, against)) };
+}
+
+// Ratios are rounded down so a suggested color is never shown as passing with more contrast than it has
+function round(ratio) {
+  return Math.floor(ratio * 100) / 100;
+}
+
+// Data of the contrast check of an axe node (the check is in "any" for both contrast rules)
+function findContrastData(node) {
+  const check = [...(node.any || []), ...(node.all || []), ...(node.none || [])]
+    .find(result => result.data && result.data.fgColor && result.data.bgColor);
+  return check ? check.data : null;
+}
+
+/**
+ * Analyze the elements failing the contrast rules: the measured ratio, the required ratio, the text and
+ * background colors and the nearest passing color (the smallest change of either color; the hue is kept).
+ * Ratios involving a text shadow are reported without a suggestion.
+ *
+ * @param {object[]} violations - axe violations of the page.
+ * @returns {object[]} Entries { rule, target, html, ratio, required, foreground, background, fontSize, fontWeight,
+ *   suggestion } where suggestion is { property, color, ratio } or null.
+ */
+function analyzeContrast(violations) {
+  return violations
+    .filter(violation => CONTRAST_RULES.includes(violation.id))
+    .flatMap(violation => violation.nodes.map(node => {
+      const data = findContrastData(node);
+      if (!data) return null;
+      const foreground = parseColor(data.fgColor);
+      const background = parseColor(data.bgColor);
+      const required = parseFloat(data.expectedContrastRatio) || 4.5;
+      const shadow = /shadow/i.test(data.messageKey || '');
+      return {
+        rule: violation.id,
+        target: formatTarget(node.target),
+        html: node.html,
+        ratio: Number(data.contrastRatio),
+        required,
+        foreground: data.fgColor,
+        background: data.bgColor,
+        fontSize: data.fontSize,
+        fontWeight: data.fontWeight,
+        suggestion: foreground && background && !shadow ? suggestColor(foreground, background, required) : null
+      };
+    }))
+    .filter(Boolean);
+}
+
+// Small color sample shown next to a color value in the HTML report
+function swatch(color) {
+  return `<span style="display: inline-block; width: 0.9em; height: 0.9em; border: 1px solid #999; ` +
+    `vertical-align: middle; background: ${escapeHtml(color)};"></span> <code>${escapeHtml(color)}</code>`;
+}
+
+// Summary of the contrast analysis for the HTML report
+function formatContrastSummary(entries) {
+  const items = entries.slice(0, MAX_LISTED_ELEMENTS).map(entry => {
+    const suggestion = entry.suggestion
+      ? t(`contrast.suggestion.${entry.suggestion.property}`, { color: swatch(entry.suggestion.color), ratio: entry.suggestion.ratio })
+      : t('contrast.noSuggestion');
+    return `<li><code>${escapeHtml(entry.target)}</code>: ${t('contrast.ratio', {
+      ratio: entry.ratio, required: entry.required, foreground: swatch(entry.foreground), background: swatch(entry.background)
+    })} – ${suggestion}</li>`;
+  });
+  if (entries.length > MAX_LISTED_ELEMENTS) items.push(`<li>${t('contrast.more', { count: entries.length - MAX_LISTED_ELEMENTS })}</li>`);
+  return `${t('contrast.summary')}<ul>${items.join('')}</ul>`;
+}
+
+module.exports = {
+  analyzeContrast, formatContrastSummary
+};
@@ -0,0 +1,199 @@
+// Crawl mode: page discovery from links, sitemaps and robots.txt
+
+const cheerio = require('cheerio');
+const { DEFAULT_TIMEOUT, CRAWLER_USER_AGENT, NON_HTML_EXTENSIONS } = require('./constants');
+const { logWarning } = require('./utils');
+const { t } = require('./i18n');
+
+// Fetch a text resource for the crawler
+async function fetchText(url, timeout = DEFAULT_TIMEOUT) {
+  const response = await fetch(url, {
+    headers: { 'User-Agent': CRAWLER_USER_AGENT },
+    signal: AbortSignal.timeout(timeout)
+  });
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  return { text: await response.text(), contentType: response.headers.get('content-type') || '', url: response.url };
+}
+
+// Key used to de-duplicate crawled URLs: origin + path, ignoring query, hash and trailing slash
+function getCrawlKey(url) {
+  return `${url.origin}${url.pathname.replace(/\/+$/, '')}`;
+}
+
+// Convert a robots.txt path pattern (supporting "*" and a trailing "$") into a RegExp
+function robotsPatternToRegExp(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+// Parse robots.txt and return the Allow/Disallow rules that apply to this crawler
+function parseRobotsTxt(text) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+    if (field === 'user-agent') {
+      // Consecutive User-agent lines share the same group of rules
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [] };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+    if (current && (field === 'allow' || field === 'disallow') && value) {
+      current.rules.push({ allow: field === 'allow', pattern: value, regExp: robotsPatternToRegExp(value) });
+    }
+  }
+  const group = groups.find(g => g.agents.includes(CRAWLER_USER_AGENT)) || groups.find(g => g.agents.includes('*'));
+  return group ? group.rules : [];
+}
+
+// The longest matching robots.txt rule wins; Allow wins a tie
+function isAllowedByRobots(rules, urlPath) {
+  let match = null;
+  for (const rule of rules) {
+    if (!rule.regExp.test(urlPath)) continue;
+    if (!match || rule.pattern.length > match.pattern.length || (rule.pattern.length === match.pattern.length && rule.allow)) {
+      match = rule;
+    }
+  }
+  return !match || match.allow;
+}
+
+// Load robots.txt rules for an origin (a missing or unreadable robots.txt allows everything)
+async function loadRobotsRules(origin, timeout) {
+  try {
+    const { text } = await fetchText(`${origin}/robots.txt`, timeout);
+    return parseRobotsTxt(text);
+  } catch (error) {
+    return [];
+  }
+}
+
+// Read page URLs from a sitemap, following sitemap index files
+async function readSitemap(sitemapUrl, timeout, visited = new Set()) {
+  if (visited.has(sitemapUrl)) return [];
+  visited.add(sitemapUrl);
+  let response;
+  try {
+    response = await fetchText(sitemapUrl, timeout);
+  } catch (error) {
+    logWarning(`❌ ${t('crawler.sitemapError', { url: sitemapUrl, error: error.message })}`);
+    return [];
+  }
+  const $ = cheerio.load(response.text, { xmlMode: true });
+  const nestedSitemaps = $('sitemapindex > sitemap > loc').map((_, el) => $(el).text().trim()).get();
+  if (nestedSitemaps.length > 0) {
+    const urls = [];
+    for (const nested of nestedSitemaps) urls.push(...(await readSitemap(nested, timeout, visited)));
+    return urls;
+  }
+  return $('urlset > url > loc').map((_, el) => $(el).text().trim()).get();
+}
+
+/**
+ * Discover pages to audit from a start URL (following same-origin links breadth-first)
+ * or from a sitemap.xml / sitemap index.
+ *
+ * @param {string} startUrl - Page or sitemap URL to start from.
+ * @param {object} crawl - Crawl options (see resolveCrawlOptions).
+ * @returns {Promise<string[]>} Discovered page URLs, at most crawl.maxPages.
+ */
+async function crawlSite(startUrl, crawl) {
+  const start = new URL(startUrl);
+  const robotsRules = crawl.respectRobots ? await loadRobotsRules(start.origin, crawl.timeout) : [];
+  const isCandidate = url =>
+    url.origin === start.origin &&
+    !NON_HTML_EXTENSIONS.test(url.pathname) &&
+    (crawl.include.length === 0 || crawl.include.some(pattern => pattern.test(url.href))) &&
+    !crawl.exclude.some(pattern => pattern.test(url.href)) &&
+    isAllowedByRobots(robotsRules, url.pathname + url.search);
+
+  const seen = new Set();
+  const pages = [];
+
+  if (/\.xml$/i.test(start.pathname)) {
+    for (const loc of await readSitemap(start.href, crawl.timeout)) {
+      if (pages.length >= crawl.maxPages) break;
+      let url;
+      try {
+        url = new URL(loc);
+      } catch (error) {
+        continue;
+      }
+      const key = getCrawlKey(url);
+      if (seen.has(key) || !isCandidate(url)) continue;
+      seen.add(key);
+      pages.push(url.href);
+    }
+    return pages;
+  }
+
+  start.hash = '';
+  const queue = [{ url: start, depth: 0 }];
+  seen.add(getCrawlKey(start));
+  while (queue.length > 0 && pages.length < crawl.maxPages) {
+    const { url, depth } = queue.shift();
+    let response;
+    try {
+      response = await fetchText(url.href, crawl.timeout);
+    } catch (error) {
+      logWarning(`❌ ${t('crawler.crawlError', { url: url.href, error: error.message })}`);
+      continue;
+    }
+    if (!response.contentType.includes('text/html')) continue;
+    pages.push(url.href);
+    if (depth >= crawl.depth) continue;
+
+    const $ = cheerio.load(response.text);
+    $('a[href]').each((_, el) => {
+      let link;
+      try {
+        link = new URL($(el).attr('href'), response.url);
+      } catch (error) {
+        return;
+      }
+      link.hash = '';
+      const key = getCrawlKey(link);
+      if (seen.has(key) || !isCandidate(link)) return;
+      seen.add(key);
+      queue.push({ url: link, depth: depth + 1 });
+    });
+  }
+  return pages;
+}
+
+// Group audit summaries of crawled pages by their crawl start URL
+function aggregateCrawlSummaries(summaries) {
+  const groups = new Map();
+  for (const summary of summaries.filter(s => s.crawlRoot)) {
+    if (!groups.has(summary.crawlRoot)) {
+      groups.set(summary.crawlRoot, { root: summary.crawlRoot, pages: new Set(), failed: 0, totalViolations: 0, ruleCounts: new Map() });
+    }
+    const group = groups.get(summary.crawlRoot);
+    group.pages.add(summary.site);
+    if (summary.error) {
+      group.failed++;
+      continue;
+    }
+    group.totalViolations += summary.totalViolations;
+    for (const rule of summary.ruleIds) group.ruleCounts.set(rule, (group.ruleCounts.get(rule) || 0) + 1);
+  }
+  return [...groups.values()].map(group => ({ ...group, pages: group.pages.size }));
+}
+
+module.exports = {
+  crawlSite, aggregateCrawlSummaries
+};
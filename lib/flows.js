@@ -0,0 +1,192 @@
+// Authenticated audits and scripted user-journey flows
+
+const { logInfo, logSuccess, logWarning, normalizeUrl, escapeHtml, formatTarget } = require('./utils');
+const { t } = require('./i18n');
+
+// Find the auth profile for a site by origin
+function findAuthProfile(site, profiles) {
+  if (!/^https?:/i.test(site)) return null;
+  const { origin } = new URL(site);
+  return profiles.find(profile => profile.origin === origin) || null;
+}
+
+// Run a single declarative step (login or flow) on a page
+async function runStep(page, step) {
+  switch (step.action) {
+    case 'goto':
+      await page.goto(normalizeUrl(step.url), { waitUntil: 'networkidle' });
+      break;
+    case 'fill':
+      await page.fill(step.selector, step.value);
+      break;
+    case 'click':
+      await page.click(step.selector);
+      break;
+    case 'press':
+      await page.press(step.selector, step.key);
+      break;
+    case 'hover':
+      await page.hover(step.selector);
+      break;
+    case 'waitForUrl':
+      await page.waitForURL(step.url);
+      break;
+    case 'waitForSelector':
+      await page.waitForSelector(step.selector);
+      break;
+  }
+}
+
+/**
+ * Build the browser context options for an auth profile. Login steps run only once per profile;
+ * the resulting session (storage state) is cached on the profile and reused by every page of its origin.
+ * A failed login is not cached, so the next page of the origin tries to log in again.
+ *
+ * @param {object} profile - Auth profile (see normalizeAuthProfiles).
+ * @param {object} browser - Playwright browser instance.
+ * @param {number} timeout - Timeout for each login step.
+ * @returns {Promise<object>} Options for browser.newContext().
+ */
+async function getAuthContextOptions(profile, browser, timeout) {
+  const contextOptions = {};
+  if (profile.storageState) contextOptions.storageState = profile.storageState;
+  if (profile.headers) contextOptions.extraHTTPHeaders = profile.headers;
+  if (profile.httpCredentials) contextOptions.httpCredentials = profile.httpCredentials;
+  if (profile.login.length === 0) return contextOptions;
+
+  if (!profile.session) {
+    profile.session = (async () => {
+      logInfo(`🔑 ${t('flows.loggingIn', { origin: profile.origin })}`);
+      const loginContext = await browser.newContext(contextOptions);
+      try {
+        if (profile.cookies.length > 0) await loginContext.addCookies(profile.cookies);
+        const page = await loginContext.newPage();
+        page.setDefaultTimeout(timeout);
+        for (const step of profile.login) await runStep(page, step);
+        logSuccess(`🔑 ${t('flows.loggedIn', { origin: profile.origin })}`);
+        return await loginContext.storageState();
+      } catch (error) {
+        throw new Error(`Login to ${profile.origin} failed: ${error.message}`);
+      } finally {
+        await loginContext.close();
+      }
+    })();
+    const session = profile.session;
+    session.catch(() => {
+      if (profile.session === session) profile.session = null;
+    });
+  }
+  return { ...contextOptions, storageState: await profile.session };
+}
+
+// Label used for violations found right after the page has loaded
+const PAGE_LOAD_STEP = 'Page load';
+
+// Key comparing the page of a flow with an audited page: fragments and trailing slashes do not matter
+function getFlowKey(site) {
+  try {
+    const url = new URL(normalizeUrl(site));
+    return `${url.protocol}//${url.host}${url.pathname.replace(/\/+$/, '')}${url.search}`;
+  } catch (error) {
+    return site;
+  }
+}
+
+// Find the flow (user journey) configured for a site
+function findFlow(site, flows) {
+  const key = getFlowKey(site);
+  const flow = flows.find(f => getFlowKey(f.site) === key);
+  return flow ? flow.steps : null;
+}
+
+// Collect axe results (violations or incomplete) by rule, with each node labelled with its step and kept only once
+function createResultMerger() {
+  const seen = new Set();
+  const byRule = new Map();
+  const add = (rules, label) => {
+    let added = 0;
+    for (const rule of rules) {
+      const nodes = rule.nodes
+        .filter(node => {
+          const key = `${rule.id}\n${formatTarget(node.target)}`;
+          if (seen.has(key)) return false;
+          seen.add(key);
+          return true;
+        })
+        .map(node => ({ ...node, step: label }));
+      if (nodes.length === 0) continue;
+      added += nodes.length;
+      if (byRule.has(rule.id)) byRule.get(rule.id).nodes.push(...nodes);
+      else byRule.set(rule.id, { ...rule, nodes });
+    }
+    return added;
+  };
+  return { add, results: () => [...byRule.values()] };
+}
+
+/**
+ * Run a site's flow and merge the axe results (violations and incomplete results) of every scanned step
+ * into the initial results. Nodes are de-duplicated across steps by rule id + target, so each one is
+ * reported only for the first step it was found in; every node gets a "step" label. A failing step (e.g. a
+ * selector missing after a redesign) stops the flow: it is recorded with its error and the results of the
+ * earlier scans are kept.
+ *
+ * @param {object} page - Playwright page instance (already on the site).
+ * @param {object} builder - Configured AxeBuilder for the page.
+ * @param {object[]} steps - Flow steps; steps with "scan": true trigger an axe scan.
+ * @param {object} results - Results of the scan after the page loaded.
+ * @returns {Promise<object>} Merged results with a "steps" list of { label, newNodes }, plus "error" for a failed step.
+ */
+async function runFlow(page, builder, steps, results) {
+  const violations = createResultMerger();
+  const incomplete = createResultMerger();
+  incomplete.add(results.incomplete || [], PAGE_LOAD_STEP);
+
+  const scannedSteps = [{ label: PAGE_LOAD_STEP, newNodes: violations.add(results.violations, PAGE_LOAD_STEP) }];
+  for (const [index, step] of steps.entries()) {
+    const label = step.label || `${t('flows.step', { number: index + 1 })}: ${step.action} ${step.selector || step.url}`;
+    let stepResults;
+    try {
+      await runStep(page, step);
+      if (!step.scan) continue;
+      stepResults = await builder.analyze();
+    } catch (error) {
+      // Playwright errors carry a multi-line call log; its first line is enough for the reports
+      const message = error.message.split('\n')[0];
+      logWarning(`🧭 ${t('flows.stepFailed', { step: label, error: message })}`);
+      scannedSteps.push({ label, newNodes: 0, error: message });
+      break;
+    }
+    const newNodes = violations.add(stepResults.violations, label);
+    incomplete.add(stepResults.incomplete || [], label);
+    logInfo(`🧭 ${label}: ${t('flows.newNodes', { count: newNodes })}`);
+    scannedSteps.push({ label, newNodes });
+  }
+  return { ...results, violations: violations.results(), incomplete: incomplete.results(), steps: scannedSteps };
+}
+
+// Prefix the fix summary of nodes found after an interaction so the HTML report shows their step
+function labelStepNodes(violations) {
+  return violations.map(violation => ({
+    ...violation,
+    nodes: violation.nodes.map(node =>
+      node.step && node.step !== PAGE_LOAD_STEP
+        ? { ...node, failureSummary: `${t('flows.foundAfterStep', { step: node.step })}\n\n${node.failureSummary || ''}` }
+        : node
+    )
+  }));
+}
+
+// HTML summary of the scanned flow steps for the top of the HTML report
+function formatStepsSummary(steps) {
+  const items = steps.map(step => {
+    const label = step.label === PAGE_LOAD_STEP ? t('flows.pageLoad') : step.label;
+    if (step.error) return `<li>${escapeHtml(label)}: ${escapeHtml(t('flows.failed', { error: step.error }))}</li>`;
+    return `<li>${escapeHtml(label)}: ${t('flows.newNodes', { count: step.newNodes })}</li>`;
+  });
+  return `${t('flows.scans')}<ul>${items.join('')}</ul>`;
+}
+
+module.exports = {
+  findAuthProfile, getAuthContextOptions, findFlow, runFlow, labelStepNodes, formatStepsSummary
+};
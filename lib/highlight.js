@@ -0,0 +1,174 @@
+// Highlighted screenshots of violating elements
+
+const fs = require('fs/promises');
+const path = require('path');
+const cheerio = require('cheerio');
+const { MAX_ELEMENT_SCREENSHOTS, ELEMENT_LOOKUP_TIMEOUT, ELEMENT_SCREENSHOT_PADDING } = require('./constants');
+const { logWarning, escapeHtml, formatTarget } = require('./utils');
+const { t } = require('./i18n');
+
+/**
+ * Locate the element of an axe node target. Every entry of the target is one frame level
+ * (the last entry is the element itself, the ones before it are iframes), and an entry that is
+ * an array is a chain of shadow hosts down to the element inside their shadow roots.
+ *
+ * @param {object} page - Playwright page instance.
+ * @param {Array<string|string[]>} target - The axe node target.
+ * @returns {object} Playwright locator of the element.
+ */
+function getTargetLocator(page, target) {
+  let scope = page;
+  let locator = null;
+  target.forEach((entry, index) => {
+    // Playwright CSS selectors pierce open shadow roots, so a shadow chain is a chain of locators
+    const chain = Array.isArray(entry) ? entry : [entry];
+    locator = chain.reduce((current, selector) => current.locator(selector), scope).first();
+    if (index < target.length - 1) scope = locator.contentFrame();
+  });
+  return locator;
+}
+
+/**
+ * Highlight elements that violate accessibility standards with an overlay drawn from their bounding
+ * boxes, so the page's own elements and styles are left untouched. Each element flagged for a given
+ * violation is outlined and labelled with the same number, corresponding to that violation.
+ * A cropped screenshot of every violating element (with its outline), a full-page screenshot and
+ * a legend file are saved.
+ *
+ * The screenshots are saved in JPG format to reduce file size.
+ *
+ * @param {object} page - Playwright page instance.
+ * @param {object[]} violations - Violations from axe-core analysis.
+ * @param {object} paths - { screenshotPath, legendPath, elementsDir } where the files will be saved.
+ * @returns {Promise<Map<object, string>>} Path of the element screenshot for each captured axe node.
+ */
+async function highlightViolations(page, violations, { screenshotPath, legendPath, elementsDir }) {
+  // Create a mapping from each violation id to a fixed number.
+  const violationMap = new Map();
+  let uniqueIndex = 1;
+  for (const violation of violations) {
+    if (!violationMap.has(violation.id)) {
+      violationMap.set(violation.id, uniqueIndex);
+      uniqueIndex++;
+    }
+  }
+
+  // Bounding boxes are relative to the viewport; the overlay and the screenshots use document coordinates
+  const scroll = await page.evaluate(() => ({ x: window.scrollX, y: window.scrollY }));
+  const boxes = [];
+  let hidden = 0;
+  for (const violation of violations) {
+    for (const node of violation.nodes) {
+      const box = Array.isArray(node.target) && node.target.length > 0
+        ? await getTargetLocator(page, node.target).boundingBox({ timeout: ELEMENT_LOOKUP_TIMEOUT }).catch(() => null)
+        : null;
+      if (!box || box.width === 0 || box.height === 0) {
+        hidden++;
+        continue;
+      }
+      boxes.push({ node, number: violationMap.get(violation.id), x: box.x + scroll.x, y: box.y + scroll.y, width: box.width, height: box.height });
+    }
+  }
+  if (hidden > 0) logWarning(`⚠️ ${t('highlight.hidden', { count: hidden })}`);
+
+  // The overlay is a single absolutely positioned layer on top of the page that ignores pointer events
+  await page.evaluate(overlayBoxes => {
+    const overlay = document.createElement('div');
+    overlay.id = 'a11y-audit-overlay';
+    overlay.style.cssText = 'position:absolute;top:0;left:0;width:0;height:0;overflow:visible;z-index:2147483647;pointer-events:none;';
+    // Elements with several violations get their numbers side by side
+    const badgesPerBox = new Map();
+    for (const box of overlayBoxes) {
+      const key = `${box.x},${box.y},${box.width},${box.height}`;
+      const offset = badgesPerBox.get(key) || 0;
+      badgesPerBox.set(key, offset + 1);
+      if (offset === 0) {
+        const outline = document.createElement('div');
+        outline.style.cssText = `position:absolute;box-sizing:border-box;left:${box.x}px;top:${box.y}px;` +
+          `width:${box.width}px;height:${box.height}px;border:3px solid red;box-shadow:0 0 10px red;`;
+        overlay.appendChild(outline);
+      }
+      const badge = document.createElement('div');
+      badge.textContent = box.number;
+      badge.style.cssText = `position:absolute;left:${Math.max(0, box.x - 12) + offset * 32}px;top:${Math.max(0, box.y - 12)}px;` +
+        'width:26px;height:26px;border-radius:50%;background:black;color:yellow;border:2px solid white;' +
+        'display:flex;justify-content:center;align-items:center;font:bold 14px/1 sans-serif;';
+      overlay.appendChild(badge);
+    }
+    document.documentElement.appendChild(overlay);
+  }, boxes.map(({ node, ...box }) => box));
+
+  const elementScreenshots = new Map();
+  try {
+    // Cropped screenshot of each violating element with some surrounding context
+    if (boxes.length > 0) await fs.mkdir(elementsDir, { recursive: true });
+    const captured = boxes.slice(0, MAX_ELEMENT_SCREENSHOTS);
+    for (const [index, box] of captured.entries()) {
+      const elementPath = path.join(elementsDir, `${box.number}_${index + 1}.jpg`);
+      const x = Math.max(0, box.x - ELEMENT_SCREENSHOT_PADDING);
+      const y = Math.max(0, box.y - ELEMENT_SCREENSHOT_PADDING);
+      try {
+        await page.screenshot({
+          path: elementPath, type: 'jpeg', quality: 70, fullPage: true,
+          clip: { x, y, width: box.x + box.width + ELEMENT_SCREENSHOT_PADDING - x, height: box.y + box.height + ELEMENT_SCREENSHOT_PADDING - y }
+        });
+        elementScreenshots.set(box.node, elementPath);
+      } catch (error) {
+        logWarning(`⚠️ ${t('highlight.captureFailed', { target: formatTarget(box.node.target), error: error.message })}`);
+      }
+    }
+    if (boxes.length > captured.length) {
+      logWarning(`⚠️ ${t('highlight.captureLimit', { max: MAX_ELEMENT_SCREENSHOTS, count: boxes.length })}`);
+    }
+
+    // Take a full-page screenshot with highlighted violations (JPG format)
+    await page.screenshot({ path: screenshotPath, fullPage: true, type: 'jpeg', quality: 60 });
+  } finally {
+    await page.evaluate(() => document.getElementById('a11y-audit-overlay')?.remove()).catch(() => {});
+  }
+
+  // Generate legend data for each violation type
+  const legendData = [];
+  for (const [violationId, index] of violationMap.entries()) {
+    const description = violations.find(v => v.id === violationId)?.description || 'No description available';
+    legendData.push(`${index}: ${violationId} - ${description}`);
+  }
+  await fs.writeFile(legendPath, legendData.join('\n'));
+  return elementScreenshots;
+}
+
+// Add the element screenshot paths (relative to the report directory) to the captured axe nodes
+function withElementScreenshots(violations, elementScreenshots, outDir) {
+  if (elementScreenshots.size === 0) return violations;
+  return violations.map(violation => ({
+    ...violation,
+    nodes: violation.nodes.map(node =>
+      elementScreenshots.has(node)
+        ? { ...node, screenshot: path.relative(outDir, elementScreenshots.get(node)).split(path.sep).join('/') }
+        : node
+    )
+  }));
+}
+
+// Link the element screenshots from the node tables of the axe-html-reporter report
+function addScreenshotLinks(htmlReportContent, violations) {
+  if (!violations.some(v => v.nodes.some(node => node.screenshot))) return htmlReportContent;
+  const $ = cheerio.load(htmlReportContent);
+  $('.violationCard').each((violationIndex, card) => {
+    const nodes = violations[violationIndex] ? violations[violationIndex].nodes : [];
+    $(card).find('.violationNode tbody tr').each((nodeIndex, row) => {
+      const node = nodes[nodeIndex];
+      if (!node || !node.screenshot) return;
+      const href = encodeURI(node.screenshot);
+      $(row).children('td').eq(1).append(
+        `<p><strong>${escapeHtml(t('highlight.elementScreenshot'))}</strong></p><a href="${href}" target="_blank">` +
+        `<img src="${href}" alt="${escapeHtml(t('highlight.elementScreenshotAlt'))}" loading="lazy" style="max-width: 100%; max-height: 200px;"></a>`
+      );
+    });
+  });
+  return $.html();
+}
+
+module.exports = {
+  getTargetLocator, highlightViolations, withElementScreenshots, addScreenshotLinks
+};
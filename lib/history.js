@@ -0,0 +1,184 @@
+// Run history and the trend dashboard
+
+const fs = require('fs/promises');
+const path = require('path');
+const { HISTORY_FILE_NAME, DASHBOARD_FILE_NAME, IMPACT_LEVELS } = require('./constants');
+const { logWarning, escapeHtml, getSummaryLabel } = require('./utils');
+const { t, getLocale } = require('./i18n');
+
+// Load the run history of an output directory (an empty history when there is none yet)
+async function loadHistory(outDir) {
+  const historyPath = path.join(outDir, HISTORY_FILE_NAME);
+  try {
+    const history = JSON.parse(await fs.readFile(historyPath, 'utf-8'));
+    if (history && Array.isArray(history.runs)) return history;
+    logWarning(`❌ ${t('history.noRuns', { file: historyPath })}`);
+  } catch (error) {
+    if (error.code !== 'ENOENT') logWarning(`❌ ${t('history.readError', { file: historyPath, error: error.message })}`);
+  }
+  return { runs: [] };
+}
+
+// Build the history entry of a run: per-site counts in total, per impact and per rule
+function createHistoryRun(summaries, runAt) {
+  return {
+    runAt,
+    sites: summaries.map(summary => {
+      // Pages of the static server are labelled with their path, as its port changes between runs
+      const label = getSummaryLabel({ ...summary, site: summary.servedPath || summary.site });
+      const entry = { label, site: summary.site, variant: summary.variant };
+      if (summary.error) return { ...entry, error: summary.error };
+      return { ...entry, ...summary.counts };
+    })
+  };
+}
+
+/**
+ * Compare the sites of a run with the latest earlier run in which each site was audited successfully.
+ *
+ * @param {object} history - Run history (without the current run).
+ * @param {object} run - Current run (see createHistoryRun).
+ * @returns {object[]} Per site: { label, current, previous, previousRunAt, newRules, resolvedRules };
+ *   previous is null for sites audited for the first time.
+ */
+function compareWithPreviousRun(history, run) {
+  return run.sites.filter(site => !site.error).map(site => {
+    let previousRun = null;
+    let previous = null;
+    for (let index = history.runs.length - 1; index >= 0 && !previous; index--) {
+      previous = history.runs[index].sites.find(entry => entry.label === site.label && !entry.error) || null;
+      if (previous) previousRun = history.runs[index];
+    }
+    const currentRules = Object.keys(site.ruleCounts);
+    const previousRules = previous ? Object.keys(previous.ruleCounts) : [];
+    return {
+      label: site.label,
+      current: site.total,
+      previous: previous ? previous.total : null,
+      previousRunAt: previousRun ? previousRun.runAt : null,
+      newRules: previous ? currentRules.filter(rule => !previousRules.includes(rule)) : [],
+      resolvedRules: previousRules.filter(rule => !currentRules.includes(rule))
+    };
+  });
+}
+
+// Render an accessible inline SVG line chart of { label, value } points
+function renderSvgLineChart(points, description) {
+  const width = 640;
+  const height = 180;
+  const max = Math.max(1, ...points.map(point => point.value));
+  const step = points.length > 1 ? (width - 70) / (points.length - 1) : 0;
+  const coordinates = points.map((point, index) => ({
+    ...point,
+    x: 50 + index * step,
+    y: height - 30 - (point.value / max) * (height - 50)
+  }));
+  const polyline = coordinates.map(point => `${point.x.toFixed(1)},${point.y.toFixed(1)}`).join(' ');
+  const markers = coordinates
+    .map(point => `<circle cx="${point.x.toFixed(1)}" cy="${point.y.toFixed(1)}" r="4"><title>${escapeHtml(`${point.label}: ${point.value}`)}</title></circle>`)
+    .join('');
+  return `<svg class="chart" role="img" aria-label="${escapeHtml(description)}" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}">
+  <line x1="50" y1="${height - 30}" x2="${width - 20}" y2="${height - 30}" class="axis"/>
+  <line x1="50" y1="20" x2="50" y2="${height - 30}" class="axis"/>
+  <text x="44" y="24" text-anchor="end">${max}</text>
+  <text x="44" y="${height - 30}" text-anchor="end">0</text>
+  <text x="50" y="${height - 10}">${escapeHtml(points[0] ? points[0].label : '')}</text>
+  <text x="${width - 20}" y="${height - 10}" text-anchor="end">${escapeHtml(points.length > 1 ? points[points.length - 1].label : '')}</text>
+  <polyline points="${polyline}"/>
+  ${markers}
+</svg>`;
+}
+
+/**
+ * Render the static HTML trend dashboard: violation trends per site (with impact breakdown
+ * of the latest runs) and per rule (summed over all sites).
+ *
+ * @param {object} history - Run history.
+ * @returns {string} HTML document.
+ */
+function renderTrendDashboard(history) {
+  const RECENT_RUNS = 10;
+  const formatRunDate = runAt => new Date(runAt).toLocaleString(getLocale());
+  const labels = [...new Set(history.runs.flatMap(run => run.sites.map(site => site.label)))];
+
+  const siteSections = labels.map(label => {
+    const entries = history.runs
+      .map(run => ({ runAt: run.runAt, site: run.sites.find(entry => entry.label === label && !entry.error) }))
+      .filter(entry => entry.site);
+    const chart = renderSvgLineChart(
+      entries.map(entry => ({ label: formatRunDate(entry.runAt), value: entry.site.total })),
+      t('history.dashboard.chart', { label })
+    );
+    const rows = entries.slice(-RECENT_RUNS).reverse().map(entry => `<tr><th scope="row">${escapeHtml(formatRunDate(entry.runAt))}</th><td>${entry.site.total}</td>${IMPACT_LEVELS.map(impact => `<td>${entry.site.impactCounts[impact]}</td>`).join('')}</tr>`);
+    return `<section>
+  <h3>${escapeHtml(label)}</h3>
+  ${entries.length > 0 ? chart : `<p>${escapeHtml(t('history.dashboard.noAudits'))}</p>`}
+  <table>
+    <caption>${escapeHtml(t('history.dashboard.latestRuns', { label }))}</caption>
+    <thead><tr><th scope="col">${escapeHtml(t('history.dashboard.run'))}</th><th scope="col">${escapeHtml(t('history.dashboard.total'))}</th>${IMPACT_LEVELS.map(impact => `<th scope="col">${escapeHtml(t(`impacts.${impact}`))}</th>`).join('')}</tr></thead>
+    <tbody>${rows.join('')}</tbody>
+  </table>
+</section>`;
+  });
+
+  const recentRuns = history.runs.slice(-RECENT_RUNS);
+  const ruleTotals = run => {
+    const totals = {};
+    for (const site of run.sites.filter(entry => !entry.error)) {
+      for (const [rule, count] of Object.entries(site.ruleCounts)) totals[rule] = (totals[rule] || 0) + count;
+    }
+    return totals;
+  };
+  const totalsPerRun = recentRuns.map(ruleTotals);
+  const rules = [...new Set(totalsPerRun.flatMap(totals => Object.keys(totals)))].sort();
+  const ruleRows = rules.map(rule => `<tr><th scope="row">${escapeHtml(rule)}</th>${totalsPerRun.map(totals => `<td>${totals[rule] || 0}</td>`).join('')}</tr>`);
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(getLocale())}">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(t('history.dashboard.title'))}</title>
+  <style>
+    body { font-family: Arial, sans-serif; margin: 0 auto; max-width: 1100px; padding: 20px; color: #222; background: #fff; }
+    table { border-collapse: collapse; margin: 10px 0 30px; }
+    caption { text-align: left; font-weight: bold; padding: 4px 0; }
+    th, td { border: 1px solid #999; padding: 4px 8px; text-align: right; }
+    th[scope="row"] { text-align: left; font-weight: normal; }
+    .chart polyline { fill: none; stroke: #0b5cad; stroke-width: 2; }
+    .chart circle { fill: #0b5cad; }
+    .chart .axis { stroke: #555; }
+    .chart text { font-size: 12px; fill: #222; }
+    .table-wrapper { overflow-x: auto; }
+  </style>
+</head>
+<body>
+  <main>
+    <h1>${escapeHtml(t('history.dashboard.title'))}</h1>
+    <p>${escapeHtml(t('history.dashboard.generated', { date: new Date().toLocaleString(getLocale()), count: history.runs.length }))}</p>
+    <h2>${escapeHtml(t('history.dashboard.perSite'))}</h2>
+    ${siteSections.join('\n')}
+    <h2>${escapeHtml(t('history.dashboard.perRule'))}</h2>
+    <div class="table-wrapper">
+      <table>
+        <caption>${escapeHtml(t('history.dashboard.rulesCaption', { count: recentRuns.length }))}</caption>
+        <thead><tr><th scope="col">${escapeHtml(t('history.dashboard.rule'))}</th>${recentRuns.map(run => `<th scope="col">${escapeHtml(formatRunDate(run.runAt))}</th>`).join('')}</tr></thead>
+        <tbody>${ruleRows.join('')}</tbody>
+      </table>
+    </div>
+  </main>
+</body>
+</html>
+`;
+}
+
+// Write the trend dashboard for an output directory's history
+async function writeTrendDashboard(history, outDir) {
+  const dashboardPath = path.join(outDir, DASHBOARD_FILE_NAME);
+  await fs.writeFile(dashboardPath, renderTrendDashboard(history));
+  return dashboardPath;
+}
+
+module.exports = {
+  loadHistory, createHistoryRun, compareWithPreviousRun, writeTrendDashboard
+};
@@ -0,0 +1,174 @@
+// Localization of the CLI messages and the reports, from the locale files in locales/
+
+const fsSync = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+const { LOCALES_DIR, DEFAULT_LOCALE } = require('./constants');
+const { ConfigError } = require('./utils');
+
+// Loaded locale files, axe-core locales and axe-core sources with a locale by code
+const locales = new Map();
+const axeLocales = new Map();
+const axeSources = new Map();
+let currentLocale = DEFAULT_LOCALE;
+
+// Codes of the available locales (the names of the files in locales/)
+function listLocales() {
+  return fsSync.readdirSync(LOCALES_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => path.basename(file, '.json'))
+    .sort();
+}
+
+// Read a locale file once
+function loadLocale(code) {
+  if (!locales.has(code)) {
+    const localeFile = path.join(LOCALES_DIR, `${code}.json`);
+    let content;
+    try {
+      content = JSON.parse(fsSync.readFileSync(localeFile, 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') throw new ConfigError(`Unknown locale "${code}" (available: ${listLocales().join(', ')}).`);
+      throw new ConfigError(`Could not load locale file ${localeFile}: ${error.message}`);
+    }
+    locales.set(code, content);
+  }
+  return locales.get(code);
+}
+
+/**
+ * Select the language of the CLI messages, the axe-core rule texts and the reports.
+ *
+ * @param {string} [code] - Locale code: the name of a file in locales/, e.g. "pl" (default: "en").
+ */
+function setLocale(code = DEFAULT_LOCALE) {
+  if (typeof code !== 'string' || !/^[a-z]{2,3}([_-][A-Za-z\d]+)?$/.test(code)) {
+    throw new ConfigError(`Invalid locale "${code}" (expected a code such as "en" or "pl").`);
+  }
+  loadLocale(code);
+  currentLocale = code;
+}
+
+function getLocale() {
+  return currentLocale;
+}
+
+// Find a message by its dotted key, e.g. "runner.completed"
+function findMessage(code, key) {
+  return key.split('.').reduce((value, part) => (value && typeof value === 'object' ? value[part] : undefined), loadLocale(code).messages);
+}
+
+/**
+ * Translate a message into the current locale; missing messages fall back to English. "{name}" placeholders
+ * are replaced with the matching params, and messages with plural forms ({ one, few, many, other }) are chosen
+ * by params.count using the plural rules of the locale.
+ *
+ * @param {string} key - Dotted message key.
+ * @param {object} [params] - Values of the placeholders.
+ * @returns {string} The translated message (the key itself when no locale has it).
+ */
+function t(key, params = {}) {
+  let code = currentLocale;
+  let message = findMessage(code, key);
+  if (message === undefined && code !== DEFAULT_LOCALE) {
+    code = DEFAULT_LOCALE;
+    message = findMessage(code, key);
+  }
+  if (message === undefined) return key;
+  if (typeof message === 'object') {
+    const form = new Intl.PluralRules(code).select(Number(params.count) || 0);
+    message = message[form] !== undefined ? message[form] : message.other;
+  }
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] !== undefined ? String(params[name]) : placeholder));
+}
+
+// Names of the WCAG success criteria in the current locale by number (empty when they are not translated)
+function getCriteriaNames() {
+  return loadLocale(currentLocale).wcagCriteria || {};
+}
+
+// Accessibility tips of the current locale (the English ones when it has none)
+function getTips() {
+  const { tips } = loadLocale(currentLocale);
+  return Array.isArray(tips) && tips.length > 0 ? tips : loadLocale(DEFAULT_LOCALE).tips || [];
+}
+
+// Directory of the axe-core package used by @axe-core/playwright
+function getAxeCoreDir() {
+  return path.dirname(require.resolve('axe-core/package.json', {
+    paths: [path.dirname(require.resolve('@axe-core/playwright'))]
+  }));
+}
+
+/**
+ * axe-core locale of the current locale, which translates the rule descriptions, help texts and failure
+ * summaries. The "axe" key of a locale file names one of the locales shipped with axe-core (or holds
+ * a complete axe-core locale object).
+ *
+ * @returns {object|null} Locale for axe.configure, or null to keep axe-core's English texts.
+ */
+function getAxeLocale() {
+  const { axe } = loadLocale(currentLocale);
+  if (!axe) return null;
+  if (typeof axe === 'object') return axe;
+  if (!axeLocales.has(axe)) {
+    try {
+      axeLocales.set(axe, JSON.parse(fsSync.readFileSync(path.join(getAxeCoreDir(), 'locales', `${axe}.json`), 'utf-8')));
+    } catch (error) {
+      throw new ConfigError(`Could not load the axe-core locale "${axe}": ${error.message}`);
+    }
+  }
+  return axeLocales.get(axe);
+}
+
+/**
+ * axe-core source injected into the audited pages, with the axe-core locale of the current locale configured
+ * (AxeBuilder has no option for the locale).
+ *
+ * @returns {string|null} Source for the axeSource option of AxeBuilder, or null to use the default source.
+ */
+function getAxeSource() {
+  const axeLocale = getAxeLocale();
+  if (!axeLocale) return null;
+  if (!axeSources.has(currentLocale)) {
+    const { source } = require(getAxeCoreDir());
+    axeSources.set(currentLocale, `${source};axe.configure({ locale: ${JSON.stringify(axeLocale)} });`);
+  }
+  return axeSources.get(currentLocale);
+}
+
+/**
+ * Translate the fixed texts of an axe-html-reporter report (title, headings, table headers and labels)
+ * with the "htmlReport" phrases of the current locale, keyed by their English text.
+ *
+ * @param {string} htmlReportContent - HTML generated by createHtmlReport.
+ * @returns {string} The localized HTML.
+ */
+function localizeHtmlReport(htmlReportContent) {
+  const phrases = loadLocale(currentLocale).htmlReport;
+  if (!phrases) return htmlReportContent;
+  const $ = cheerio.load(htmlReportContent);
+  $('html').attr('lang', currentLocale);
+
+  // Texts with counts are rebuilt from messages with plural forms
+  $('h2').has('.badge').each((index, heading) => {
+    const badge = $(heading).find('.badge').first();
+    const count = parseInt(badge.text(), 10) || 0;
+    $(heading).html(t('html.violationsFound', { count, badge: $.html(badge) }));
+  });
+  $('button.btn-link').each((index, button) => {
+    const match = $(button).text().match(/axe returned (\d+) (passed|incomplete|inapplicable)/);
+    if (match) $(button).text(t(`html.${match[2]}Checks`, { count: Number(match[1]) }));
+  });
+
+  $('title, body *').contents().each((index, node) => {
+    if (node.type !== 'text') return;
+    const text = node.data.replace(/\s+/g, ' ').trim();
+    if (phrases[text] !== undefined) node.data = node.data.replace(/\S[\s\S]*\S|\S/, () => phrases[text]);
+  });
+  return $.html();
+}
+
+module.exports = {
+  listLocales, setLocale, getLocale, t, getTips, getCriteriaNames, getAxeLocale, getAxeSource, localizeHtmlReport
+};
@@ -0,0 +1,177 @@
+// Keyboard navigation and focus-order audit
+
+const { logWarning, evaluateWithCssPath } = require('./utils');
+const { t } = require('./i18n');
+
+// Checks of the keyboard navigation audit, reported in the same shape as axe rules (their help texts are
+// in the locale files)
+const KEYBOARD_RULES = {
+  'keyboard-trap': {
+    impact: 'critical',
+    tags: ['wcag2a', 'wcag212', 'keyboard-audit'],
+    helpUrl: 'https://www.w3.org/WAI/WCAG21/Understanding/no-keyboard-trap.html'
+  },
+  'keyboard-unreachable': {
+    impact: 'serious',
+    tags: ['wcag2a', 'wcag211', 'keyboard-audit'],
+    helpUrl: 'https://www.w3.org/WAI/WCAG21/Understanding/keyboard.html'
+  },
+  'focus-indicator-missing': {
+    impact: 'serious',
+    tags: ['wcag2aa', 'wcag247', 'keyboard-audit'],
+    helpUrl: 'https://www.w3.org/WAI/WCAG21/Understanding/focus-visible.html'
+  },
+  'focus-order-backwards': {
+    impact: 'moderate',
+    tags: ['wcag2a', 'wcag243', 'keyboard-audit'],
+    helpUrl: 'https://www.w3.org/WAI/WCAG21/Understanding/focus-order.html'
+  }
+};
+
+/**
+ * Runs in the page: collect the visible interactive elements in document order together with a
+ * snapshot of their unfocused styles, and store them (with helpers) for describeFocusedElement.
+ */
+function snapshotInteractiveElements(cssPath) {
+  const FOCUSABLE = 'a[href], area[href], button, input:not([type="hidden"]), select, textarea, summary, iframe, ' +
+    '[tabindex], [contenteditable=""], [contenteditable="true"]';
+  const isVisible = el => {
+    const style = getComputedStyle(el);
+    return el.getClientRects().length > 0 && style.visibility !== 'hidden';
+  };
+  const styleOf = el => {
+    const s = getComputedStyle(el);
+    return [
+      s.outlineStyle, s.outlineWidth, s.outlineColor, s.outlineOffset, s.boxShadow,
+      s.borderTopColor, s.borderBottomColor, s.borderTopWidth, s.borderBottomWidth,
+      s.backgroundColor, s.color, s.textDecorationLine
+    ].join('|');
+  };
+  const describe = el => ({ selector: cssPath(el), html: el.outerHTML.slice(0, 250) });
+  const elements = [...document.querySelectorAll(FOCUSABLE)]
+    .filter(el => !el.disabled && el.tabIndex >= 0 && !el.closest('[inert]') && isVisible(el));
+  window.__a11yKeyboard = { elements, styles: elements.map(styleOf), styleOf, describe };
+  if (document.activeElement && document.activeElement.blur) document.activeElement.blur();
+  return elements.length;
+}
+
+// Runs in the page: describe the currently focused element (looking into open shadow roots)
+function describeFocusedElement() {
+  const state = window.__a11yKeyboard;
+  let el = document.activeElement;
+  while (el && el.shadowRoot && el.shadowRoot.activeElement) el = el.shadowRoot.activeElement;
+  if (!el || el === document.body || el === document.documentElement) return { boundary: true };
+  const index = state.elements.indexOf(el);
+  return {
+    boundary: false,
+    index,
+    isFrame: el.tagName === 'IFRAME',
+    ...state.describe(el),
+    // Elements outside the snapshot (e.g. in shadow DOM) have no unfocused style to compare with
+    indicatorVisible: index === -1 ? null : state.styleOf(el) !== state.styles[index]
+  };
+}
+
+// Build an axe-shaped violation for a keyboard audit check
+function makeKeyboardViolation(ruleId, nodes) {
+  const rule = KEYBOARD_RULES[ruleId];
+  return {
+    id: ruleId,
+    ...rule,
+    description: t(`keyboard.rules.${ruleId}.description`),
+    help: t(`keyboard.rules.${ruleId}.help`),
+    nodes: nodes.map(node => ({
+      target: [node.selector],
+      html: node.html,
+      impact: rule.impact,
+      failureSummary: `${t('keyboard.fix')}\n  ${node.message}`,
+      any: [],
+      all: [],
+      none: []
+    }))
+  };
+}
+
+/**
+ * Tab through a page and record the sequence of focused elements, flagging keyboard traps,
+ * interactive elements never reached, focused elements without a visible focus indicator and
+ * focus moving backwards in document order.
+ *
+ * The focus indicator check compares computed styles before and while focused, so indicators drawn
+ * with pseudo-elements or on a parent (:focus-within) are not detected.
+ *
+ * @param {object} page - Playwright page instance.
+ * @param {object} keyboard - Keyboard options ({ maxTabs }).
+ * @param {string[]} wcagTags - WCAG tags of the audit; checks of other levels are skipped.
+ * @returns {Promise<object>} { violations, sequence, completed } in axe violation format.
+ */
+async function auditKeyboardNavigation(page, keyboard, wcagTags) {
+  const count = await evaluateWithCssPath(page, snapshotInteractiveElements);
+  const limit = Math.min(keyboard.maxTabs, count * 2 + 10);
+  const sequence = [];
+  const visitedAt = new Map();
+  const findings = { 'keyboard-trap': [], 'keyboard-unreachable': [], 'focus-indicator-missing': [], 'focus-order-backwards': [] };
+  const flagged = new Set();
+  const flag = (ruleId, node, message) => {
+    const key = `${ruleId}\n${node.selector}`;
+    if (flagged.has(key)) return;
+    flagged.add(key);
+    findings[ruleId].push({ selector: node.selector, html: node.html, message });
+  };
+
+  let completed = count === 0;
+  let previous = null;
+  for (let tab = 0; tab < limit && !completed; tab++) {
+    await page.keyboard.press('Tab');
+    const focus = await page.evaluate(describeFocusedElement);
+    if (focus.boundary) {
+      // Focus left the document: the whole tab cycle has been seen
+      if (sequence.length > 0) completed = true;
+      continue;
+    }
+    // Tabbing inside an iframe keeps the iframe focused in the top document
+    if (focus.isFrame && previous && previous.selector === focus.selector) continue;
+
+    if (visitedAt.has(focus.selector)) {
+      const cycle = sequence.slice(visitedAt.get(focus.selector)).map(node => node.selector);
+      flag('keyboard-trap', focus, t('keyboard.trap', { elements: cycle.join(', ') }));
+      break;
+    }
+    visitedAt.set(focus.selector, sequence.length);
+    sequence.push(focus);
+
+    if (focus.indicatorVisible === false) {
+      flag('focus-indicator-missing', focus, t('keyboard.noIndicator'));
+    }
+    if (previous && previous.index >= 0 && focus.index >= 0 && focus.index < previous.index) {
+      flag('focus-order-backwards', focus, t('keyboard.backwards', { element: previous.selector }));
+    }
+    previous = focus;
+  }
+
+  if (completed) {
+    const visited = new Set(sequence.map(node => node.index));
+    const missing = [...Array(count).keys()].filter(index => !visited.has(index));
+    const unreachable = await page.evaluate(
+      indexes => indexes.map(index => window.__a11yKeyboard.describe(window.__a11yKeyboard.elements[index])),
+      missing
+    );
+    unreachable.forEach(node => flag('keyboard-unreachable', node, t('keyboard.unreachable')));
+  } else if (findings['keyboard-trap'].length === 0) {
+    logWarning(`⌨️ ${t('keyboard.stopped', { count: limit })}`);
+  }
+
+  await page.evaluate(() => {
+    if (document.activeElement && document.activeElement.blur) document.activeElement.blur();
+    delete window.__a11yKeyboard;
+  });
+
+  const violations = Object.entries(findings)
+    .filter(([ruleId, nodes]) => nodes.length > 0 && KEYBOARD_RULES[ruleId].tags.some(tag => wcagTags.includes(tag)))
+    .map(([ruleId, nodes]) => makeKeyboardViolation(ruleId, nodes));
+  return { violations, sequence: sequence.map(node => node.selector), completed };
+}
+
+module.exports = {
+  auditKeyboardNavigation
+};
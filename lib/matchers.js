@@ -0,0 +1,54 @@
+// Custom matcher for Jest and Playwright Test: expect(page).toHaveNoA11yViolations(options)
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { formatTarget } = require('./utils');
+const { audit } = require('./api');
+
+// Maximum number of elements listed per violation in the failure message
+const MAX_LISTED_NODES = 5;
+
+// Failure message listing the violations found on the page
+function formatViolations(site, violations) {
+  const lines = violations.map(violation => {
+    const nodes = violation.nodes.slice(0, MAX_LISTED_NODES).map(node => `      ${formatTarget(node.target)}`);
+    if (violation.nodes.length > MAX_LISTED_NODES) nodes.push(`      …and ${violation.nodes.length - MAX_LISTED_NODES} more`);
+    return [`  ${violation.id} (${violation.impact || 'n/a'}): ${violation.help}`, ...nodes, `    ${violation.helpUrl}`].join('\n');
+  });
+  return `Expected ${site} to have no accessibility violations, found ${violations.length} rules violated:\n\n${lines.join('\n\n')}`;
+}
+
+/**
+ * Audit a Playwright page (or a URL) and pass when no violations are reported. Suppressions,
+ * a baseline and per-site overrides from the options are applied; console output is off by default.
+ * The HTML and JSON reports are only kept when "out" is given.
+ *
+ * @param {object|string} received - Playwright page or URL.
+ * @param {object} [options] - Options with the config file keys, e.g. { level: 'AA' }.
+ * @returns {Promise<object>} Matcher result: { pass, message }.
+ */
+async function toHaveNoA11yViolations(received, options = {}) {
+  const tempDir = options.out === undefined ? await fs.mkdtemp(path.join(os.tmpdir(), 'a11y-matcher-')) : null;
+  let result;
+  try {
+    result = await audit(received, { quiet: true, ...options, out: tempDir || options.out });
+  } finally {
+    if (tempDir) await fs.rm(tempDir, { recursive: true, force: true });
+  }
+  const failed = result.summaries.find(summary => summary.error);
+  if (failed) {
+    return { pass: false, message: () => `Could not audit ${result.site}: ${failed.error}` };
+  }
+  const pass = result.violations.length === 0;
+  return {
+    pass,
+    message: () => (pass
+      ? `Expected ${result.site} to have accessibility violations, but none were found.`
+      : formatViolations(result.site, result.violations))
+  };
+}
+
+module.exports = {
+  toHaveNoA11yViolations
+};
@@ -0,0 +1,501 @@
+// Combined PDF report
+
+const fs = require('fs/promises');
+const fsSync = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const {
+  WCAG_CRITERIA_FILE, IMPACT_LEVELS, DEFAULT_LOCALE, PDF_FONT_CANDIDATES, PDF_MONO_FONT_CANDIDATES
+} = require('./constants');
+const { ConfigError, logWarning, getFormattedTimestamp, formatTarget, getSummaryLabel } = require('./utils');
+const { aggregateCrawlSummaries } = require('./crawler');
+const { compareVariants } = require('./runner');
+const { t, getLocale, getCriteriaNames } = require('./i18n');
+
+// Colors used for impact levels in the PDF report
+const IMPACT_COLORS = {
+  critical: '#b00020',
+  serious: '#c0392b',
+  moderate: '#b9770e',
+  minor: '#2874a6'
+};
+
+// Maximum number of contrast failures and of elements per incomplete rule listed for each audit
+const MAX_CONTRAST_ENTRIES = 15;
+const MAX_INCOMPLETE_NODES = 2;
+
+// Load the WCAG success criteria (number -> name and level) from wcag_criteria.json, with the names translated
+// by the "wcagCriteria" of the current locale
+async function loadWcagCriteria() {
+  try {
+    const content = JSON.parse(await fs.readFile(WCAG_CRITERIA_FILE, 'utf-8'));
+    const names = getCriteriaNames();
+    return Object.fromEntries(Object.entries(content.criteria || {})
+      .map(([number, criterion]) => [number, { ...criterion, name: names[number] || criterion.name }]));
+  } catch (error) {
+    logWarning(`❌ ${t('pdf.criteriaError', { error: error.message })}`);
+    return {};
+  }
+}
+
+/**
+ * Map the tags of an axe rule to WCAG success criteria, e.g. "wcag111" -> 1.1.1 Non-text Content (A).
+ *
+ * @param {string[]} tags - Tags of the axe rule.
+ * @param {object} criteria - Criteria loaded with loadWcagCriteria.
+ * @returns {object[]} { number, name, level } for every criterion the rule checks.
+ */
+function getWcagCriteria(tags, criteria) {
+  return tags
+    .map(tag => tag.match(/^wcag(\d)(\d)(\d{1,2})$/))
+    .filter(Boolean)
+    .map(([, principle, guideline, criterion]) => {
+      const number = `${principle}.${guideline}.${criterion}`;
+      const known = criteria[number] || {};
+      return { number, name: known.name || '', level: known.level || '' };
+    });
+}
+
+// Describe the WCAG criteria of a rule for the report
+function formatWcagCriteria(tags, criteria) {
+  const mapped = getWcagCriteria(tags, criteria);
+  if (mapped.length === 0) return tags.includes('best-practice') ? t('pdf.bestPractice') : t('pdf.notMapped');
+  return mapped
+    .map(c => `${c.number} ${c.name}${c.level ? ` (${t('pdf.level', { level: c.level })})` : ''}`.replace(/\s+/g, ' ').trim())
+    .join('; ');
+}
+
+/**
+ * Choose the font of the PDF text: the configured TrueType font, otherwise a Unicode font found on the system
+ * for other languages than English (the standard Helvetica font only covers Western European characters).
+ *
+ * @param {string} [font] - Path of a TrueType font ("pdfFont" option).
+ * @returns {string} Font file or standard font name.
+ */
+function resolvePdfFont(font) {
+  if (font) {
+    if (!fsSync.existsSync(font)) throw new ConfigError(`PDF font ${font} not found.`);
+    return font;
+  }
+  if (getLocale() === DEFAULT_LOCALE) return 'Helvetica';
+  const found = PDF_FONT_CANDIDATES.find(candidate => fsSync.existsSync(candidate));
+  if (!found) logWarning(`⚠️ ${t('pdf.noUnicodeFont')}`);
+  return found || 'Helvetica';
+}
+
+// Font of the HTML snippets: Courier next to the standard font, otherwise a Unicode monospace font found on the
+// system, or the body font itself (Courier has no glyphs for letters such as ą or ł)
+function resolveCodeFont(bodyFont) {
+  if (bodyFont === 'Helvetica') return 'Courier';
+  return PDF_MONO_FONT_CANDIDATES.find(candidate => fsSync.existsSync(candidate)) || bodyFont;
+}
+
+// Index of the page currently written to (pages are buffered)
+function getCurrentPageIndex(doc) {
+  const range = doc.bufferedPageRange();
+  return range.start + range.count - 1;
+}
+
+// Start a new page when less than `height` points are left on the current one
+function ensureSpace(doc, height) {
+  if (doc.y + height > doc.page.height - doc.page.margins.bottom) doc.addPage();
+}
+
+// Draw a horizontal bar chart of violating elements per impact level
+function renderImpactChart(doc, impactCounts) {
+  const left = doc.page.margins.left;
+  const labelWidth = 70;
+  const maxBarWidth = doc.page.width - left - doc.page.margins.right - labelWidth - 40;
+  const max = Math.max(1, ...IMPACT_LEVELS.map(impact => impactCounts[impact] || 0));
+  ensureSpace(doc, IMPACT_LEVELS.length * 20 + 10);
+  let y = doc.y;
+  IMPACT_LEVELS.forEach(impact => {
+    const count = impactCounts[impact] || 0;
+    const barWidth = (count / max) * maxBarWidth;
+    doc.fontSize(10).fillColor('black').text(t(`impacts.${impact}`), left, y + 2, { width: labelWidth });
+    if (barWidth > 0) doc.rect(left + labelWidth, y, barWidth, 14).fill(IMPACT_COLORS[impact]);
+    doc.fillColor('black').text(String(count), left + labelWidth + barWidth + 6, y + 2);
+    y += 20;
+  });
+  doc.x = left;
+  doc.y = y + 6;
+}
+
+// Cover page with the key numbers of the run
+function renderPdfCover(doc, summaries, wcagTags) {
+  const audited = summaries.filter(s => !s.error);
+  const impactTotals = Object.fromEntries(IMPACT_LEVELS.map(impact => [
+    impact, audited.reduce((sum, s) => sum + s.impactCounts[impact], 0)
+  ]));
+  doc.moveDown(8);
+  const failed = summaries.length - audited.length;
+  doc.fontSize(28).fillColor('#0b5cad').text(t('pdf.title'), { align: 'center' });
+  doc.moveDown();
+  doc.fontSize(14).fillColor('black').text(t('pdf.generatedOn', { date: new Date().toLocaleString(getLocale()) }), { align: 'center' });
+  doc.moveDown(3);
+  doc.fontSize(12)
+    .text(t('pdf.pagesAudited', { count: new Set(summaries.map(s => s.site)).size }), { align: 'center' })
+    .text(`${t('pdf.auditsRun', { count: summaries.length })}${failed > 0 ? ` (${t('pdf.failedCount', { count: failed })})` : ''}`, { align: 'center' })
+    .text(t('pdf.violatingElements', { count: audited.reduce((sum, s) => sum + s.totalViolations, 0) }), { align: 'center' })
+    .text(IMPACT_LEVELS.map(impact => `${t(`impacts.${impact}`)}: ${impactTotals[impact]}`).join('   '), { align: 'center' });
+  if (wcagTags.length > 0) {
+    doc.moveDown();
+    doc.text(t('pdf.auditTags', { tags: wcagTags.join(', ') }), { align: 'center' });
+  }
+  doc.moveDown(4);
+  doc.fontSize(10).fillColor('#444').text(t('pdf.disclaimer'), { align: 'center' });
+}
+
+// Table of all audits with their impact breakdown
+function renderPdfExecutiveSummary(doc, summaries) {
+  const left = doc.page.margins.left;
+  const columns = [left, left + 260, left + 320, left + 365, left + 410, left + 460];
+  const header = [t('pdf.page'), t('pdf.total'), ...IMPACT_LEVELS.map(impact => t(`impacts.${impact}`))];
+  const renderRow = (cells, options = {}) => {
+    ensureSpace(doc, 28);
+    const y = doc.y;
+    let rowHeight = 0;
+    cells.forEach((cell, index) => {
+      const width = index === 0 ? 250 : 45;
+      doc.fontSize(9).fillColor(options.color || 'black').text(String(cell), columns[index], y, { width });
+      rowHeight = Math.max(rowHeight, doc.y - y);
+    });
+    doc.x = left;
+    doc.y = y + rowHeight + 4;
+  };
+  renderRow(header, { color: '#0b5cad' });
+  summaries.forEach(summary => {
+    if (summary.error) {
+      renderRow([getSummaryLabel(summary), t('pdf.failed'), '', '', '', ''], { color: 'red' });
+    } else {
+      renderRow([getSummaryLabel(summary), summary.totalViolations, ...IMPACT_LEVELS.map(impact => summary.impactCounts[impact])]);
+    }
+  });
+}
+
+// Sample of a text color on a background color
+function renderColorSample(doc, x, y, foreground, background) {
+  doc.rect(x, y, 28, 14).fillAndStroke(background, '#999999');
+  doc.fontSize(9).fillColor(foreground).text('Aa', x, y + 3, { width: 28, align: 'center', lineBreak: false });
+}
+
+// Contrast failures with their ratios, samples of the current and the suggested colors
+function renderContrastAnalysis(doc, entries) {
+  ensureSpace(doc, 60);
+  doc.fontSize(13).fillColor('#0b5cad').text(t('pdf.contrast.title'));
+  doc.moveDown(0.5);
+  const left = doc.page.margins.left;
+  const textLeft = left + 70;
+  const width = doc.page.width - textLeft - doc.page.margins.right;
+  entries.slice(0, MAX_CONTRAST_ENTRIES).forEach(entry => {
+    ensureSpace(doc, 40);
+    const y = doc.y;
+    renderColorSample(doc, left, y, entry.foreground, entry.background);
+    const { suggestion } = entry;
+    if (suggestion) {
+      const [foreground, background] = suggestion.property === 'foreground'
+        ? [suggestion.color, entry.background]
+        : [entry.foreground, suggestion.color];
+      renderColorSample(doc, left + 34, y, foreground, background);
+    }
+    doc.fontSize(9).fillColor('black')
+      .text(entry.target, textLeft, y, { width })
+      .text(t('pdf.contrast.ratio', {
+        ratio: entry.ratio, required: entry.required, foreground: entry.foreground, background: entry.background
+      }), { width })
+      .text(suggestion
+        ? t(`pdf.contrast.suggestion.${suggestion.property}`, { color: suggestion.color, ratio: suggestion.ratio })
+        : t('contrast.noSuggestion'), { width });
+    doc.x = left;
+    doc.y = Math.max(doc.y, y + 16) + 4;
+  });
+  if (entries.length > MAX_CONTRAST_ENTRIES) {
+    doc.fontSize(8).text(t('pdf.moreElements', { count: entries.length - MAX_CONTRAST_ENTRIES }));
+  }
+  doc.moveDown(0.75);
+}
+
+// Rules axe could not decide, listed for manual review
+function renderIncompleteResults(doc, incomplete) {
+  ensureSpace(doc, 60);
+  doc.fontSize(13).fillColor('#0b5cad').text(t('pdf.incomplete.title'));
+  doc.moveDown(0.5);
+  doc.fontSize(9).fillColor('#444').text(t('pdf.incomplete.note'));
+  doc.moveDown(0.5);
+  incomplete.forEach(rule => {
+    ensureSpace(doc, 50);
+    doc.fontSize(10).fillColor('black').text(`${rule.id} – ${rule.help}`);
+    doc.fontSize(9).fillColor(IMPACT_COLORS[rule.impact] || 'black')
+      .text(`${t('pdf.impact', { impact: rule.impact ? t(`impacts.${rule.impact}`) : 'n/a' })}   |   ${
+        t('pdf.affectedElements', { count: rule.nodes.length })}`);
+    doc.fillColor('black');
+    rule.nodes.slice(0, MAX_INCOMPLETE_NODES).forEach(node => {
+      doc.fontSize(8).text(`${node.target}${node.message ? `: ${node.message}` : ''}`, { indent: 10 });
+    });
+    if (rule.nodes.length > MAX_INCOMPLETE_NODES) {
+      doc.fontSize(8).text(t('pdf.moreElements', { count: rule.nodes.length - MAX_INCOMPLETE_NODES }), { indent: 10 });
+    }
+    doc.moveDown(0.5);
+  });
+  doc.moveDown(0.25);
+}
+
+// Detailed section of one audit: key numbers, impact chart, violations, contrast analysis, results for manual
+// review and the highlighted screenshot
+function renderPdfSiteSection(doc, summary, criteria) {
+  doc.fontSize(12).fillColor('black');
+  if (summary.variant) doc.text(t('pdf.configuration', { name: summary.variant }));
+  if (summary.error) {
+    doc.fillColor('red').text(t('pdf.auditFailed', { error: summary.error }));
+    doc.fillColor('black');
+    return;
+  }
+  doc
+    .text(t('pdf.host', { host: summary.siteName }))
+    .text(t('pdf.duration', { seconds: summary.duration }))
+    .text(t('pdf.totalViolations', { count: summary.totalViolations }))
+    .text(t('pdf.distinctAreas', { count: summary.distinctAreas }));
+  if (summary.baselineDiff) {
+    doc.text(t('pdf.baselineDiff', summary.baselineDiff));
+  }
+  doc.fontSize(9)
+    .text(t('pdf.htmlReport', { file: summary.htmlReportPath }))
+    .text(t('pdf.jsonReport', { file: summary.jsonReportPath }));
+  doc.moveDown();
+
+  doc.fontSize(13).fillColor('#0b5cad').text(t('pdf.violationsByImpact'));
+  doc.moveDown(0.5);
+  renderImpactChart(doc, summary.impactCounts);
+  doc.moveDown();
+
+  doc.fontSize(13).fillColor('#0b5cad').text(t(summary.baselineDiff ? 'pdf.newViolations' : 'pdf.violations'));
+  doc.moveDown(0.5);
+  if (summary.violations.length === 0) {
+    doc.fontSize(10).fillColor('black').text(t(summary.baselineDiff ? 'pdf.noNewViolations' : 'pdf.noViolations'));
+  }
+  // Numbers match the ones drawn on the highlighted screenshot
+  summary.violations.forEach((violation, index) => {
+    ensureSpace(doc, 120);
+    doc.fontSize(11).fillColor('black').text(`${index + 1}. ${violation.id} – ${violation.help}`);
+    doc.fontSize(9).fillColor(IMPACT_COLORS[violation.impact] || 'black')
+      .text(`${t('pdf.impact', { impact: violation.impact ? t(`impacts.${violation.impact}`) : 'n/a' })}   |   ${
+        t('pdf.affectedElements', { count: violation.nodes.length })}`);
+    doc.fillColor('black')
+      .text(`WCAG: ${formatWcagCriteria(violation.tags || [], criteria)}`)
+      .text(violation.description);
+    const fix = violation.nodes[0] && violation.nodes[0].failureSummary;
+    if (fix) doc.text(t('pdf.howToFix', { fix: fix.replace(/\s*\n\s*/g, ' ').trim() }));
+    violation.nodes.slice(0, 2).forEach(node => {
+      const html = node.html.length > 200 ? `${node.html.slice(0, 200)}…` : node.html;
+      doc.font('Code').fontSize(8).fillColor('#333').text(html, { indent: 10 });
+      doc.font('Body');
+    });
+    if (violation.nodes.length > 2) doc.fontSize(8).text(t('pdf.moreElements', { count: violation.nodes.length - 2 }), { indent: 10 });
+    if (violation.helpUrl) {
+      doc.fontSize(9).fillColor('#0b5cad').text(t('pdf.moreInformation', { url: violation.helpUrl }), { link: violation.helpUrl, underline: true });
+    }
+    doc.fillColor('black');
+    doc.moveDown(0.75);
+  });
+
+  if (summary.suppressed && summary.suppressed.length > 0) {
+    ensureSpace(doc, 60);
+    doc.fontSize(13).fillColor('#0b5cad').text(t('pdf.suppressedFindings'));
+    doc.moveDown(0.5);
+    doc.fontSize(9).fillColor('black');
+    summary.suppressed.forEach(violation => {
+      violation.nodes.forEach(node => {
+        const expires = node.suppression.expires ? ` (${t('suppressions.until', { date: node.suppression.expires })})` : '';
+        doc.text(`${t('pdf.suppressed')}: ${violation.id} – ${formatTarget(node.target)}: ${node.suppression.reason}${expires}`);
+      });
+    });
+    doc.moveDown(0.75);
+  }
+
+  if (summary.contrast && summary.contrast.length > 0) renderContrastAnalysis(doc, summary.contrast);
+  if (summary.incomplete && summary.incomplete.length > 0) renderIncompleteResults(doc, summary.incomplete);
+
+  if (summary.screenshotPath && fsSync.existsSync(summary.screenshotPath)) {
+    doc.addPage();
+    doc.fontSize(13).fillColor('#0b5cad').text(t('pdf.highlightedScreenshot'));
+    doc.moveDown(0.5);
+    const left = doc.page.margins.left;
+    const top = doc.y;
+    const image = doc.openImage(summary.screenshotPath);
+    const maxHeight = doc.page.height - doc.page.margins.bottom - top;
+    const scale = Math.min(250 / image.width, maxHeight / image.height);
+    doc.image(image, left, top, { width: image.width * scale, height: image.height * scale });
+    doc.fontSize(9).fillColor('black');
+    summary.violations.forEach((violation, index) => {
+      doc.text(`${index + 1}: ${violation.id} – ${violation.help}`, left + 265, undefined, { width: doc.page.width - left - 265 - doc.page.margins.right });
+    });
+    doc.x = left;
+    doc.y = Math.max(doc.y, top + image.height * scale) + 10;
+  }
+}
+
+// Fill in the reserved table of contents pages with links to the sections
+function renderPdfToc(doc, entries, firstPage, pageCount) {
+  let pageIndex = firstPage;
+  doc.switchToPage(pageIndex);
+  doc.x = doc.page.margins.left;
+  doc.y = doc.page.margins.top;
+  doc.fontSize(18).fillColor('black').text(t('pdf.toc'));
+  doc.moveDown();
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  for (const entry of entries) {
+    if (doc.y + 20 > doc.page.height - doc.page.margins.bottom) {
+      if (pageIndex + 1 >= firstPage + pageCount) break;
+      doc.switchToPage(++pageIndex);
+      doc.y = doc.page.margins.top;
+    }
+    const y = doc.y;
+    doc.fontSize(entry.level === 2 ? 9 : 11).fillColor('#0b5cad');
+    doc.text(entry.title, doc.page.margins.left + (entry.level === 2 ? 15 : 0), y, { width: width - 60, goTo: entry.destination, lineBreak: false, ellipsis: true });
+    doc.fillColor('black').text(String(entry.page + 1), doc.page.margins.left, y, { width, align: 'right', lineBreak: false });
+    doc.x = doc.page.margins.left;
+    doc.y = y + (entry.level === 2 ? 14 : 18);
+  }
+}
+
+// Page numbers in the footer of every page but the cover
+function addPageNumbers(doc) {
+  const range = doc.bufferedPageRange();
+  for (let index = range.start + 1; index < range.start + range.count; index++) {
+    doc.switchToPage(index);
+    const bottomMargin = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    doc.fontSize(8).fillColor('#666').text(t('pdf.pageNumber', { page: index + 1, pages: range.count }), 0, doc.page.height - 30, { width: doc.page.width, align: 'center', lineBreak: false });
+    doc.page.margins.bottom = bottomMargin;
+  }
+}
+
+/**
+ * Generate the combined PDF report: cover page, table of contents, executive summary, a detailed
+ * section per audit (impact chart, WCAG mapping, example HTML, remediation help and the highlighted
+ * screenshot with its legend), followed by trend, matrix and crawl sections when available.
+ *
+ * @param {object[]} summaries - Summaries returned by runAuditForSite.
+ * @param {number} totalDuration - Sum of all audit durations in seconds.
+ * @param {string} outDir - Output directory.
+ * @param {object} [extras] - { trend, wcagTags, font } for the trend section, the cover page and the font of the text.
+ * @returns {Promise<string>} Path of the generated PDF.
+ */
+async function generatePdfReport(summaries, totalDuration, outDir, { trend = [], wcagTags = [], font } = {}) {
+  const criteria = await loadWcagCriteria();
+  const bodyFont = resolvePdfFont(font);
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ margin: 50, bufferPages: true, lang: getLocale() });
+    doc.registerFont('Body', bodyFont);
+    doc.registerFont('Code', resolveCodeFont(bodyFont));
+    doc.font('Body');
+    const timestamp = getFormattedTimestamp();
+    const pdfPath = path.join(outDir, `combined_report_${timestamp}.pdf`);
+    const writeStream = fsSync.createWriteStream(pdfPath);
+    doc.pipe(writeStream);
+
+    const tocEntries = [];
+    const startSection = (title, level = 1, newPage = true) => {
+      if (newPage) doc.addPage();
+      const destination = `section-${tocEntries.length}`;
+      tocEntries.push({ title, level, destination, page: getCurrentPageIndex(doc) });
+      doc.fontSize(level === 1 ? 18 : 15).fillColor(level === 1 ? 'black' : '#0b5cad').text(title, { destination });
+      doc.moveDown(0.5);
+    };
+
+    renderPdfCover(doc, summaries, wcagTags);
+
+    // Reserve pages for the table of contents, filled in once the section pages are known
+    const comparisons = compareVariants(summaries);
+    const aggregates = aggregateCrawlSummaries(summaries);
+    const tocPageCount = Math.ceil((summaries.length + 6) / 36);
+    const tocFirstPage = getCurrentPageIndex(doc) + 1;
+    for (let i = 0; i < tocPageCount; i++) doc.addPage();
+
+    startSection(t('pdf.executiveSummary'));
+    renderPdfExecutiveSummary(doc, summaries);
+    doc.moveDown();
+    doc.fontSize(11).fillColor('black').text(t('pdf.totalDuration', { seconds: totalDuration.toFixed(2) }));
+
+    // Detailed section for each audit
+    summaries.forEach(summary => {
+      startSection(t('pdf.site', { site: getSummaryLabel(summary) }), 2);
+      renderPdfSiteSection(doc, summary, criteria);
+    });
+
+    // Trend compared to the previous run of each site
+    if (trend.length > 0) {
+      startSection(t('pdf.trend.title'));
+      trend.forEach(entry => {
+        ensureSpace(doc, 60);
+        doc.fontSize(12).fillColor('#0b5cad').text(entry.label);
+        doc.fontSize(10).fillColor('black');
+        if (entry.previous === null) {
+          doc.text(t('pdf.trend.firstRun', { count: entry.current }));
+        } else {
+          const delta = entry.current - entry.previous;
+          doc.fillColor(delta > 0 ? 'red' : delta < 0 ? 'green' : 'black')
+            .text(t('pdf.trend.change', {
+              previous: entry.previous,
+              count: entry.current,
+              delta: `${delta > 0 ? '+' : ''}${delta}`,
+              date: new Date(entry.previousRunAt).toLocaleString(getLocale())
+            }));
+          doc.fillColor('black');
+          if (entry.newRules.length > 0) doc.text(t('pdf.trend.newRules', { rules: entry.newRules.join(', ') }));
+          if (entry.resolvedRules.length > 0) doc.text(t('pdf.trend.resolvedRules', { rules: entry.resolvedRules.join(', ') }));
+        }
+        doc.moveDown(0.5);
+      });
+    }
+
+    // Violations specific to some matrix configurations
+    if (comparisons.length > 0) {
+      startSection(t('pdf.matrix.title'));
+      comparisons.forEach(comparison => {
+        ensureSpace(doc, 60);
+        doc.fontSize(14).fillColor('#0b5cad').text(t('pdf.site', { site: comparison.site }));
+        doc.fontSize(10).fillColor('black').text(t('pdf.matrix.configurations', { names: comparison.variants.join(', ') }));
+        if (comparison.specific.length === 0) {
+          doc.text(t('pdf.matrix.allConfigurations'));
+        } else {
+          comparison.specific.forEach(entry => {
+            doc.text(`${entry.rule} – ${entry.target} (${t('pdf.matrix.onlyIn', { names: entry.variants.join(', ') })})`);
+          });
+        }
+        doc.moveDown();
+      });
+    }
+
+    // Aggregate per crawled site
+    if (aggregates.length > 0) {
+      startSection(t('pdf.crawl.title'));
+      aggregates.forEach(aggregate => {
+        ensureSpace(doc, 80);
+        const topRules = [...aggregate.ruleCounts.entries()]
+          .sort((a, b) => b[1] - a[1])
+          .slice(0, 10)
+          .map(([rule, pages]) => `${rule} (${t('pdf.crawl.pages', { count: pages })})`);
+        doc.fontSize(14).fillColor('#0b5cad').text(t('pdf.site', { site: aggregate.root }));
+        doc.fontSize(12).fillColor('black')
+          .text(`${t('pdf.pagesAudited', { count: aggregate.pages })}${aggregate.failed > 0 ? ` (${t('pdf.failedCount', { count: aggregate.failed })})` : ''}`)
+          .text(t('pdf.totalViolations', { count: aggregate.totalViolations }))
+          .text(t('pdf.crawl.topRules', { rules: topRules.length > 0 ? topRules.join(', ') : t('pdf.crawl.none') }));
+        doc.moveDown();
+      });
+    }
+
+    renderPdfToc(doc, tocEntries, tocFirstPage, tocPageCount);
+    addPageNumbers(doc);
+    doc.end();
+
+    writeStream.on('finish', () => {
+      resolve(pdfPath);
+    });
+    writeStream.on('error', reject);
+  });
+}
+
+module.exports = {
+  loadWcagCriteria, getWcagCriteria, generatePdfReport
+};
@@ -0,0 +1,223 @@
+// Text resize and reflow audit: clipped, overlapping and horizontally scrolling content with enlarged text on a narrow viewport
+
+const { evaluateWithCssPath } = require('./utils');
+const { t } = require('./i18n');
+
+// Checks of the reflow audit, reported in the same shape as axe rules (their help texts are in the locale files)
+const REFLOW_RULES = {
+  'text-clipped': {
+    impact: 'serious',
+    tags: ['wcag2aa', 'wcag144', 'reflow-audit'],
+    helpUrl: 'https://www.w3.org/WAI/WCAG21/Understanding/resize-text.html'
+  },
+  'text-overlap': {
+    impact: 'serious',
+    tags: ['wcag2aa', 'wcag144', 'reflow-audit'],
+    helpUrl: 'https://www.w3.org/WAI/WCAG21/Understanding/resize-text.html'
+  },
+  'reflow-horizontal-scroll': {
+    impact: 'serious',
+    tags: ['wcag21aa', 'wcag1410', 'reflow-audit'],
+    helpUrl: 'https://www.w3.org/WAI/WCAG21/Understanding/reflow.html'
+  }
+};
+
+// Maximum number of elements reported per check, and of text elements compared with each other for overlaps
+const MAX_REPORTED_ELEMENTS = 20;
+const MAX_COMPARED_ELEMENTS = 400;
+
+/**
+ * Runs in the page: enlarge the text of every element by a factor, the way the text-only zoom of a browser
+ * does. Line heights are enlarged with the text. The original inline styles are stored for restoreText.
+ */
+function enlargeText(factor) {
+  const elements = [...document.querySelectorAll('body, body *')];
+  // All sizes are read before any is changed, so nested relative sizes are not enlarged twice
+  const sizes = elements.map(el => {
+    const style = getComputedStyle(el);
+    return { fontSize: parseFloat(style.fontSize), lineHeight: style.lineHeight };
+  });
+  window.__a11yReflow = elements.map((el, index) => {
+    const saved = { el, style: el.getAttribute('style') };
+    const { fontSize, lineHeight } = sizes[index];
+    if (fontSize) el.style.setProperty('font-size', `${fontSize * factor}px`, 'important');
+    if (lineHeight.endsWith('px')) el.style.setProperty('line-height', `${parseFloat(lineHeight) * factor}px`, 'important');
+    return saved;
+  });
+  // Wait until the new layout has been rendered
+  return new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(() => resolve(elements.length))));
+}
+
+// Runs in the page: undo enlargeText
+function restoreText() {
+  for (const { el, style } of window.__a11yReflow || []) {
+    if (style === null) el.removeAttribute('style');
+    else el.setAttribute('style', style);
+  }
+  delete window.__a11yReflow;
+}
+
+/**
+ * Runs in the page: find text cut off by its own box or by an ancestor that hides overflowing content,
+ * text overlapping the text of another element, and elements that make the page scroll horizontally.
+ */
+function findLayoutProblems(cssPath, { maxReported, maxCompared }) {
+  const describe = el => ({ selector: cssPath(el), html: el.outerHTML.slice(0, 250) });
+  const isVisible = el => {
+    const style = getComputedStyle(el);
+    return el.getClientRects().length > 0 && style.visibility !== 'hidden' && parseFloat(style.opacity) > 0;
+  };
+  // Visually hidden content (e.g. "sr-only" text) is clipped on purpose
+  const isTiny = rect => rect.width <= 1 || rect.height <= 1;
+  const hides = value => value === 'hidden' || value === 'clip';
+  const viewportWidth = document.documentElement.clientWidth;
+
+  // Elements with their own visible text, with the boxes of their text lines
+  const texts = [...document.querySelectorAll('body *')]
+    .filter(el => !['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'OPTION'].includes(el.tagName))
+    .filter(el => [...el.childNodes].some(node => node.nodeType === Node.TEXT_NODE && node.textContent.trim()))
+    .filter(isVisible)
+    .map(el => {
+      const rects = [...el.childNodes]
+        .filter(node => node.nodeType === Node.TEXT_NODE && node.textContent.trim())
+        .flatMap(node => {
+          const range = document.createRange();
+          range.selectNodeContents(node);
+          return [...range.getClientRects()];
+        })
+        .filter(rect => rect.width > 0 && rect.height > 0);
+      return { el, rects };
+    })
+    .filter(text => text.rects.length > 0 && !isTiny(text.el.getBoundingClientRect()));
+
+  const clipped = [];
+  for (const { el, rects } of texts) {
+    if (clipped.length >= maxReported) break;
+    const style = getComputedStyle(el);
+    if ((hides(style.overflowX) && el.scrollWidth > el.clientWidth + 1) || (hides(style.overflowY) && el.scrollHeight > el.clientHeight + 1)) {
+      clipped.push({ ...describe(el), container: null });
+      continue;
+    }
+    const left = Math.min(...rects.map(rect => rect.left));
+    const right = Math.max(...rects.map(rect => rect.right));
+    const top = Math.min(...rects.map(rect => rect.top));
+    const bottom = Math.max(...rects.map(rect => rect.bottom));
+    for (let ancestor = el.parentElement; ancestor && ancestor !== document.body; ancestor = ancestor.parentElement) {
+      const ancestorStyle = getComputedStyle(ancestor);
+      const box = ancestor.getBoundingClientRect();
+      // Text entirely outside the ancestor (e.g. an inactive carousel slide) is hidden on purpose
+      const outside = right <= box.left || left >= box.right || bottom <= box.top || top >= box.bottom;
+      if (isTiny(box) || ((hides(ancestorStyle.overflowX) || hides(ancestorStyle.overflowY)) && outside)) break;
+      const cutX = hides(ancestorStyle.overflowX) && (left < box.left - 1 || right > box.right + 1);
+      const cutY = hides(ancestorStyle.overflowY) && (top < box.top - 1 || bottom > box.bottom + 1);
+      if (cutX || cutY) {
+        clipped.push({ ...describe(el), container: cssPath(ancestor) });
+        break;
+      }
+    }
+  }
+
+  const overlapping = [];
+  const compared = texts.slice(0, maxCompared);
+  const intersects = (a, b) => Math.min(a.right, b.right) - Math.max(a.left, b.left) > 2 &&
+    Math.min(a.bottom, b.bottom) - Math.max(a.top, b.top) > 2;
+  for (let i = 0; i < compared.length && overlapping.length < maxReported; i++) {
+    for (let j = i + 1; j < compared.length; j++) {
+      const [first, second] = [compared[i], compared[j]];
+      if (first.el.contains(second.el) || second.el.contains(first.el)) continue;
+      if (first.rects.some(a => second.rects.some(b => intersects(a, b)))) {
+        overlapping.push({ ...describe(second.el), other: cssPath(first.el) });
+        break;
+      }
+    }
+  }
+
+  const overflowing = [];
+  const scrollWidth = document.documentElement.scrollWidth;
+  if (scrollWidth > viewportWidth + 1) {
+    const overflows = el => el.getBoundingClientRect().right > viewportWidth + 1;
+    // Content inside a scrolling or clipping container does not widen the page
+    const isContained = el => {
+      for (let ancestor = el.parentElement; ancestor && ancestor !== document.body; ancestor = ancestor.parentElement) {
+        if (getComputedStyle(ancestor).overflowX !== 'visible') return true;
+      }
+      return false;
+    };
+    // Only the outermost overflowing elements are reported
+    for (const el of document.querySelectorAll('body *')) {
+      if (overflowing.length >= maxReported) break;
+      if (!overflows(el) || !isVisible(el) || (el.parentElement !== document.body && overflows(el.parentElement))) continue;
+      // Fixed elements (e.g. closed off-canvas menus) do not widen the page
+      if (getComputedStyle(el).position === 'fixed') continue;
+      if (!isContained(el)) overflowing.push(describe(el));
+    }
+    if (overflowing.length === 0) overflowing.push(describe(document.body));
+  }
+
+  return { clipped, overlapping, overflowing, scrollWidth, viewportWidth };
+}
+
+// Build an axe-shaped violation for a reflow audit check
+function makeReflowViolation(ruleId, nodes, reflow) {
+  const rule = REFLOW_RULES[ruleId];
+  return {
+    id: ruleId,
+    ...rule,
+    description: t(`reflow.rules.${ruleId}.description`, { zoom: reflow.textZoom, width: reflow.width }),
+    help: t(`reflow.rules.${ruleId}.help`),
+    nodes: nodes.map(node => ({
+      target: [node.selector],
+      html: node.html,
+      impact: rule.impact,
+      failureSummary: `${t('reflow.fix')}\n  ${node.message}`,
+      any: [],
+      all: [],
+      none: []
+    }))
+  };
+}
+
+/**
+ * Enlarge the text of a page and narrow the viewport, then flag text that is cut off, text overlapping
+ * other text and content that makes the page scroll horizontally. The page is restored afterwards.
+ *
+ * Text is enlarged by setting the computed font sizes (and line heights) as inline styles, so text sized
+ * with viewport units or drawn in canvas and images is not enlarged.
+ *
+ * @param {object} page - Playwright page instance.
+ * @param {object} reflow - Reflow options ({ width, textZoom }).
+ * @param {string[]} wcagTags - WCAG tags of the audit; checks of other levels are skipped.
+ * @returns {Promise<object>} { violations, scrollWidth } in axe violation format.
+ */
+async function auditReflow(page, reflow, wcagTags) {
+  const viewport = page.viewportSize() || await page.evaluate(() => ({ width: innerWidth, height: innerHeight }));
+  let problems;
+  try {
+    await page.setViewportSize({ width: reflow.width, height: viewport.height });
+    await page.evaluate(enlargeText, reflow.textZoom / 100);
+    problems = await evaluateWithCssPath(page, findLayoutProblems, { maxReported: MAX_REPORTED_ELEMENTS, maxCompared: MAX_COMPARED_ELEMENTS });
+  } finally {
+    await page.evaluate(restoreText);
+    await page.setViewportSize(viewport);
+  }
+
+  const findings = {
+    'text-clipped': problems.clipped.map(node => ({
+      ...node,
+      message: node.container ? t('reflow.clipped', { container: node.container }) : t('reflow.clippedSelf')
+    })),
+    'text-overlap': problems.overlapping.map(node => ({ ...node, message: t('reflow.overlap', { element: node.other }) })),
+    'reflow-horizontal-scroll': problems.overflowing.map(node => ({
+      ...node,
+      message: t('reflow.overflow', { scrollWidth: problems.scrollWidth, width: problems.viewportWidth })
+    }))
+  };
+  const violations = Object.entries(findings)
+    .filter(([ruleId, nodes]) => nodes.length > 0 && REFLOW_RULES[ruleId].tags.some(tag => wcagTags.includes(tag)))
+    .map(([ruleId, nodes]) => makeReflowViolation(ruleId, nodes, reflow));
+  return { violations, scrollWidth: problems.scrollWidth };
+}
+
+module.exports = {
+  auditReflow
+};
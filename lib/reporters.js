@@ -0,0 +1,186 @@
+// JUnit XML, SARIF and CSV reporters
+
+const fs = require('fs/promises');
+const path = require('path');
+const { escapeHtml, getFormattedTimestamp, formatTarget, getSummaryLabel } = require('./utils');
+
+// Escape text for XML content and attributes, dropping characters XML does not allow
+function escapeXml(text) {
+  return escapeHtml(String(text).replace(/[^\x09\x0A\x0D\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, '')).replace(/'/g, '&apos;');
+}
+
+// Suppressed violations of rules that have no reported violations left on the page
+function getSkippedRules(summary) {
+  return (summary.suppressed || []).filter(s => !summary.violations.some(v => v.id === s.id));
+}
+
+/**
+ * JUnit XML: one test suite per audited page, one test case per rule (violated rules fail,
+ * passed rules pass, rules with only suppressed violations are skipped) and an error test case
+ * for pages that could not be audited.
+ *
+ * @param {object[]} summaries - Summaries returned by runAuditForSite.
+ * @returns {string} XML document.
+ */
+function generateJUnitReport(summaries) {
+  const suites = summaries.map(summary => {
+    const name = escapeXml(getSummaryLabel(summary));
+    const classname = escapeXml(summary.siteName);
+    if (summary.error) {
+      return `  <testsuite name="${name}" tests="1" failures="0" errors="1" time="${summary.duration}">
+    <testcase classname="${classname}" name="page audit" time="${summary.duration}">
+      <error message="${escapeXml(summary.error)}"/>
+    </testcase>
+  </testsuite>`;
+    }
+    const failed = summary.violations.map(violation => {
+      const details = violation.nodes
+        .map(node => `${formatTarget(node.target)}\n${node.html}\n${node.failureSummary || ''}`)
+        .join('\n\n');
+      return `    <testcase classname="${classname}" name="${escapeXml(`${violation.id}: ${violation.help}`)}" time="0">
+      <failure message="${escapeXml(`${violation.nodes.length} elements: ${violation.help}`)}" type="${escapeXml(violation.impact || 'n/a')}">${escapeXml(`${details}\n\nMore information: ${violation.helpUrl}`)}</failure>
+    </testcase>`;
+    });
+    const skipped = getSkippedRules(summary).map(violation => {
+      const reasons = [...new Set(violation.nodes.map(node => node.suppression.reason))].join('; ');
+      return `    <testcase classname="${classname}" name="${escapeXml(`${violation.id}: ${violation.help}`)}" time="0">
+      <skipped message="${escapeXml(`suppressed: ${reasons}`)}"/>
+    </testcase>`;
+    });
+    const passed = summary.passedRules.map(rule =>
+      `    <testcase classname="${classname}" name="${escapeXml(`${rule.id}: ${rule.help}`)}" time="0"/>`
+    );
+    const tests = failed.length + skipped.length + passed.length;
+    return `  <testsuite name="${name}" tests="${tests}" failures="${failed.length}" errors="0" skipped="${skipped.length}" time="${summary.duration}">
+${[...failed, ...skipped, ...passed].join('\n')}
+  </testsuite>`;
+  });
+  const tests = summaries.reduce((sum, s) => sum + (s.error ? 1 : s.violations.length + getSkippedRules(s).length + s.passedRules.length), 0);
+  const failures = summaries.reduce((sum, s) => sum + (s.error ? 0 : s.violations.length), 0);
+  const errors = summaries.filter(s => s.error).length;
+  const skipped = summaries.reduce((sum, s) => sum + (s.error ? 0 : getSkippedRules(s).length), 0);
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="Accessibility Audit" tests="${tests}" failures="${failures}" errors="${errors}" skipped="${skipped}">
+${suites.join('\n')}
+</testsuites>
+`;
+}
+
+// SARIF levels for axe impacts
+const SARIF_LEVELS = {
+  critical: 'error',
+  serious: 'error',
+  moderate: 'warning',
+  minor: 'note'
+};
+
+/**
+ * SARIF 2.1.0: one result per violating node, with the page as the artifact location, the node
+ * target as a logical location and the axe help URL on each rule. Suppressed nodes are included
+ * with an accepted external suppression and its justification.
+ *
+ * @param {object[]} summaries - Summaries returned by runAuditForSite.
+ * @returns {string} SARIF JSON document.
+ */
+function generateSarifReport(summaries) {
+  const rules = new Map();
+  const results = [];
+  for (const summary of summaries.filter(s => !s.error)) {
+    for (const violation of [...summary.violations, ...(summary.suppressed || [])]) {
+      const level = SARIF_LEVELS[violation.impact] || 'warning';
+      if (!rules.has(violation.id)) {
+        rules.set(violation.id, {
+          id: violation.id,
+          name: violation.id,
+          shortDescription: { text: violation.help },
+          fullDescription: { text: violation.description },
+          helpUri: violation.helpUrl,
+          help: { text: `${violation.help}. More information: ${violation.helpUrl}` },
+          defaultConfiguration: { level },
+          properties: { tags: violation.tags, impact: violation.impact }
+        });
+      }
+      for (const node of violation.nodes) {
+        const target = formatTarget(node.target);
+        const result = {
+          ruleId: violation.id,
+          ruleIndex: [...rules.keys()].indexOf(violation.id),
+          level,
+          message: { text: `${violation.help}: ${target}${summary.variant ? ` [${summary.variant}]` : ''}` },
+          locations: [{
+            physicalLocation: { artifactLocation: { uri: summary.site } },
+            logicalLocations: [{ fullyQualifiedName: target, kind: 'element' }]
+          }],
+          partialFingerprints: { a11yTarget: `${summary.site}|${violation.id}|${target}` },
+          properties: { impact: violation.impact, html: node.html, configuration: summary.variant }
+        };
+        if (node.suppression) {
+          result.suppressions = [{ kind: 'external', status: 'accepted', justification: node.suppression.reason }];
+        }
+        results.push(result);
+      }
+    }
+  }
+  const sarif = {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'a11y_audit',
+          informationUri: 'https://github.com/anditpl/a11y_audit',
+          rules: [...rules.values()]
+        }
+      },
+      results
+    }]
+  };
+  return JSON.stringify(sarif, null, 2);
+}
+
+// Quote a CSV field when needed
+function escapeCsv(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV: one row per violating node (page, configuration, rule, impact, selector, html, help URL,
+ * status "open" or "suppressed" and the suppression reason).
+ *
+ * @param {object[]} summaries - Summaries returned by runAuditForSite.
+ * @returns {string} CSV document.
+ */
+function generateCsvReport(summaries) {
+  const rows = [['page', 'configuration', 'rule', 'impact', 'selector', 'html', 'help_url', 'status', 'suppression_reason']];
+  for (const summary of summaries.filter(s => !s.error)) {
+    for (const violation of [...summary.violations, ...(summary.suppressed || [])]) {
+      for (const node of violation.nodes) {
+        rows.push([
+          summary.site, summary.variant, violation.id, violation.impact, formatTarget(node.target), node.html, violation.helpUrl,
+          node.suppression ? 'suppressed' : 'open', node.suppression ? node.suppression.reason : ''
+        ]);
+      }
+    }
+  }
+  return rows.map(row => row.map(escapeCsv).join(',')).join('\r\n') + '\r\n';
+}
+
+// Additional combined report formats, selectable with --format
+const REPORTERS = {
+  junit: { label: 'JUnit XML', extension: 'junit.xml', generate: generateJUnitReport },
+  sarif: { label: 'SARIF', extension: 'sarif', generate: generateSarifReport },
+  csv: { label: 'CSV', extension: 'csv', generate: generateCsvReport }
+};
+
+// Write a combined report in one of the REPORTERS formats
+async function writeReport(format, summaries, outDir) {
+  const reporter = REPORTERS[format];
+  const reportPath = path.join(outDir, `combined_report_${getFormattedTimestamp()}.${reporter.extension}`);
+  await fs.writeFile(reportPath, reporter.generate(summaries));
+  return reportPath;
+}
+
+module.exports = {
+  REPORTERS, writeReport
+};
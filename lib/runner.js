@@ -0,0 +1,442 @@
+// Auditing of a single page and the bounded audit queue
+
+const AxeBuilder = require('@axe-core/playwright').default;
+const { createHtmlReport } = require('axe-html-reporter');
+const fs = require('fs/promises');
+const path = require('path');
+const cheerio = require('cheerio');
+const chalk = require('chalk').default;
+const { RETRY_BASE_DELAY, EXIT_CODES } = require('./constants');
+const {
+  logSeparator, logHeader, logInfo, logSuccess, logWarning, logError, logPlain, getHostName, getReportName, escapeHtml,
+  getFormattedTimestamp, formatTarget, countViolations, getServedPath, getSummaryLabel
+} = require('./utils');
+const { diffAgainstBaseline } = require('./baseline');
+const { applySuppressions, formatSuppressedSummary, resolveSiteSettings } = require('./suppressions');
+const { highlightViolations, withElementScreenshots, addScreenshotLinks } = require('./highlight');
+const {
+  findAuthProfile, getAuthContextOptions, findFlow, runFlow, labelStepNodes, formatStepsSummary
+} = require('./flows');
+const { auditKeyboardNavigation } = require('./keyboard');
+const { auditReflow } = require('./reflow');
+const { analyzeContrast, formatContrastSummary } = require('./contrast');
+const { t, getAxeSource, localizeHtmlReport } = require('./i18n');
+
+// Navigate to a site, retrying failed navigations with exponential backoff (not once the page was closed)
+async function gotoWithRetry(page, site, { retries, timeout }) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await page.goto(site, { waitUntil: 'networkidle', timeout });
+    } catch (error) {
+      if (attempt >= retries || page.isClosed()) throw error;
+      const delay = RETRY_BASE_DELAY * 2 ** attempt;
+      logWarning(`🔁 ${t('runner.retry', {
+        site, error: error.message.split('\n')[0], attempt: attempt + 1, retries, seconds: delay / 1000
+      })}`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Run a worker over all items with at most `concurrency` of them in flight, printing
+ * queued/running/done progress.
+ *
+ * @param {Array} items - Items to process, in order.
+ * @param {number} concurrency - Maximum number of workers running at the same time.
+ * @param {function} worker - Async function called with (item, index).
+ * @returns {Promise<object[]>} Settled results in the same shape as Promise.allSettled.
+ */
+async function runQueue(items, concurrency, worker) {
+  const results = new Array(items.length);
+  const counts = { queued: items.length, running: 0, done: 0 };
+  const logProgress = () =>
+    logInfo(`⏳ ${t('runner.progress', { ...counts, total: items.length })}`);
+  let next = 0;
+
+  async function runNext() {
+    while (next < items.length) {
+      const index = next++;
+      counts.queued--;
+      counts.running++;
+      logProgress();
+      try {
+        results[index] = { status: 'fulfilled', value: await worker(items[index], index) };
+      } catch (error) {
+        results[index] = { status: 'rejected', reason: error };
+      }
+      counts.running--;
+      counts.done++;
+      logProgress();
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, runNext));
+  return results;
+}
+
+// Log the start of an audit with its settings
+function logAuditStart(site, options, variant = null) {
+  const siteSettings = resolveSiteSettings(site, options);
+  logSeparator();
+  logHeader(`🔍 ${t('runner.start', { site: `${site}${variant ? ` [${variant.name}]` : ''}` })}`);
+  logInfo(
+    `📋 ${t('runner.settings', { tags: siteSettings.wcagTags.join(', ') })}${
+      options.rules.length > 0 ? ` | ${t('runner.specificRules', { rules: options.rules.join(', ') })}` : ''
+    }`
+  );
+  if (siteSettings.overridden) {
+    logInfo(`🎛️ ${t('runner.overrides.title')} ${[
+      siteSettings.include.length > 0 ? t('runner.overrides.include', { selectors: siteSettings.include.join(', ') }) : '',
+      siteSettings.exclude.length > 0 ? t('runner.overrides.exclude', { selectors: siteSettings.exclude.join(', ') }) : '',
+      siteSettings.disableRules.length > 0 ? t('runner.overrides.disableRules', { rules: siteSettings.disableRules.join(', ') }) : ''
+    ].filter(Boolean).join(' | ') || t('runner.overrides.tagsOnly')}`);
+  }
+}
+
+/**
+ * Run accessibility audit for a single site with improved log formatting. An audit still running when the
+ * deadline passes is stopped: its browser context is closed, so its pending navigations, retries, flow steps
+ * and keyboard and reflow checks fail, and it is reported as timed out.
+ *
+ * @param {string} site - URL of the page.
+ * @param {object} options - Options from resolveOptions, with the baseline and suppressions loaded.
+ * @param {object} browser - Playwright browser.
+ * @param {object} [variant] - Matrix configuration of the audit.
+ * @param {number} [deadline] - Time (ms since the epoch) by which the audit has to finish.
+ * @returns {Promise<object>} Summary of the audit, with an "error" when it failed or timed out.
+ */
+async function runAuditForSite(site, options, browser, variant = null, deadline = Infinity) {
+  const startTime = Date.now();
+  let context;
+  let page;
+  let timer;
+  let timedOut = false;
+  const deadlinePassed = new Promise((resolve, reject) => {
+    if (deadline === Infinity) return;
+    timer = setTimeout(() => {
+      timedOut = true;
+      reject(new Error(t('runner.timedOut')));
+    }, Math.max(0, deadline - Date.now()));
+  });
+  const audit = (async () => {
+    logAuditStart(site, options, variant);
+    // Authenticated sites get their origin's session, headers and credentials
+    const authProfile = findAuthProfile(site, options.auth);
+    const authOptions = authProfile ? await getAuthContextOptions(authProfile, browser, options.timeout) : {};
+    context = await browser.newContext({ ...(variant ? variant.contextOptions : {}), ...authOptions });
+    // The context may only be ready once the audit has been stopped
+    if (timedOut) await context.close();
+    if (authProfile && authProfile.cookies.length > 0) await context.addCookies(authProfile.cookies);
+    page = await context.newPage();
+    page.setDefaultTimeout(options.timeout);
+    await gotoWithRetry(page, site, options);
+    return auditPage(page, site, options, { variant, startTime });
+  })();
+  // The audit keeps failing after it was stopped; those errors are not reported
+  audit.catch(() => {});
+  try {
+    return await Promise.race([audit, deadlinePassed]);
+  } catch (error) {
+    logError(`❗ ${t('runner.error', { site: `${site}${variant ? ` [${variant.name}]` : ''}`, error: error.message })}`);
+    // Keep failed sites in the summary so they are reported and affect the exit code
+    const duration = parseFloat(((Date.now() - startTime) / 1000).toFixed(2));
+    return {
+      site, siteName: getHostName(site), servedPath: getServedPath(site, options.serverUrl),
+      variant: variant ? variant.name : undefined, error: error.message, duration
+    };
+  } finally {
+    clearTimeout(timer);
+    if (page) await page.close().catch(() => {});
+    if (context) await context.close().catch(() => {});
+  }
+}
+
+/**
+ * Audit a page that is already open: run axe (plus the flow and the keyboard and reflow audits when configured),
+ * analyze the contrast failures, apply suppressions and the baseline, take the screenshots and write the HTML and JSON reports.
+ *
+ * @param {object} page - Playwright page instance, already on the audited page.
+ * @param {string} site - URL of the audited page.
+ * @param {object} options - Options from resolveOptions, with the baseline and suppressions loaded.
+ * @param {object} [run] - { variant, startTime } of the audit.
+ * @returns {Promise<object>} Summary of the audit (see the README for its fields).
+ */
+async function auditPage(page, site, options, { variant = null, startTime = Date.now() } = {}) {
+  const { rules: roleInputs, screenshot: includeScreenshot, outDir, baseline } = options;
+  // Per-site overrides may change the tags, the audited part of the page and the disabled rules
+  const siteSettings = resolveSiteSettings(site, options);
+  const { wcagTags } = siteSettings;
+  // Rule descriptions, help texts and failure summaries in the language of the reports
+  const axeSource = getAxeSource();
+  let builder = new AxeBuilder(axeSource ? { page, axeSource } : { page });
+  builder = roleInputs.length > 0 ? builder.withRules(roleInputs) : builder.withTags(wcagTags);
+  siteSettings.include.forEach(selector => builder.include(selector));
+  siteSettings.exclude.forEach(selector => builder.exclude(selector));
+  if (siteSettings.disableRules.length > 0) builder = builder.disableRules(siteSettings.disableRules);
+  let results = await builder.analyze();
+  // Pages of the static server keep their path in the JSON report for the baseline
+  const servedPath = getServedPath(site, options.serverUrl);
+  if (servedPath) results = { ...results, servedPath };
+
+  // Sites with a flow are scanned again after each step marked with "scan"
+  const flowSteps = findFlow(site, options.flows);
+  if (flowSteps) results = await runFlow(page, builder, flowSteps, results);
+
+  // The keyboard audit tabs through the page as left by the flow and adds its findings as violations
+  if (options.keyboard) {
+    const keyboardResults = await auditKeyboardNavigation(page, options.keyboard, wcagTags);
+    logInfo(`⌨️ ${t('runner.keyboardAudit', {
+      stops: keyboardResults.sequence.length, count: keyboardResults.violations.length
+    })}`);
+    results = {
+      ...results,
+      violations: [...results.violations, ...keyboardResults.violations],
+      keyboard: { focusSequence: keyboardResults.sequence, completed: keyboardResults.completed }
+    };
+  }
+
+  // The reflow audit enlarges the text on a narrow viewport and restores the page afterwards
+  if (options.reflow) {
+    const reflowResults = await auditReflow(page, options.reflow, wcagTags);
+    logInfo(`📏 ${t('runner.reflowAudit', {
+      zoom: options.reflow.textZoom, width: options.reflow.width, count: reflowResults.violations.length
+    })}`);
+    results = { ...results, violations: [...results.violations, ...reflowResults.violations] };
+  }
+
+  // Accepted violations are moved to a separate "suppressed" list
+  if (options.suppressions.length > 0) {
+    const { violations: open, suppressed } = await applySuppressions(page, site, results.violations, options.suppressions);
+    results = { ...results, violations: open, suppressed };
+  }
+  const suppressed = results.suppressed || [];
+
+  const siteName = getHostName(site);
+  // Each matrix configuration gets its own set of report files
+  const reportName = variant ? `${getReportName(site)}_${variant.name.replace(/[^a-z0-9]+/gi, '_')}` : getReportName(site);
+  const timestamp = getFormattedTimestamp();
+  const htmlReportPath = path.join(outDir, `${reportName}_${timestamp}.html`);
+  const jsonReportPath = path.join(outDir, `${reportName}_${timestamp}.json`);
+
+  // In diff mode, only violations missing from the baseline are reported and counted
+  const diff = baseline ? diffAgainstBaseline(results, baseline, variant && variant.name) : null;
+  const violations = diff ? diff.newViolations : results.violations;
+
+  // If violations are detected, optionally highlight them with numbered screenshots and generate a legend
+  let screenshotPath;
+  let elementScreenshots = new Map();
+  if (violations.length > 0) {
+    if (includeScreenshot) {
+      screenshotPath = path.join(outDir, `${reportName}_${timestamp}_highlight.jpg`);
+      const legendPath = path.join(outDir, `${reportName}_${timestamp}_legend.txt`);
+      const elementsDir = path.join(outDir, `${reportName}_${timestamp}_elements`);
+      elementScreenshots = await highlightViolations(page, violations, { screenshotPath, legendPath, elementsDir });
+      logInfo(`📸 ${t('runner.screenshotSaved', { file: chalk.underline(screenshotPath) })}`);
+      if (elementScreenshots.size > 0) {
+        logInfo(`🔎 ${t('runner.elementScreenshotsSaved', { count: elementScreenshots.size, dir: chalk.underline(elementsDir) })}`);
+      }
+      logInfo(`📄 ${t('runner.legendSaved', { file: chalk.underline(legendPath) })}`);
+    } else {
+      logInfo(`📸 ${t('runner.screenshotSkipped')}`);
+    }
+  }
+  const reportedViolations = withElementScreenshots(violations, elementScreenshots, outDir);
+  const contrast = analyzeContrast(violations);
+  const incomplete = summarizeIncomplete(results.incomplete);
+
+  // Suppress unwanted messages from createHtmlReport
+  const originalStdoutWrite = process.stdout.write.bind(process.stdout);
+  process.stdout.write = (chunk, encoding, callback) => {
+    if (typeof chunk === 'string' && chunk.includes('HTML report was saved into the following directory')) {
+      if (callback) callback();
+      return true;
+    }
+    return originalStdoutWrite(chunk, encoding, callback);
+  };
+  const htmlSummary = [];
+  if (variant) htmlSummary.push(t('runner.configuration', { name: escapeHtml(variant.name) }));
+  if (flowSteps) htmlSummary.push(formatStepsSummary(results.steps));
+  if (suppressed.length > 0) htmlSummary.push(formatSuppressedSummary(suppressed));
+  if (contrast.length > 0) htmlSummary.push(formatContrastSummary(contrast));
+  const htmlReportContent = createHtmlReport({
+    results: {
+      violations: flowSteps ? labelStepNodes(reportedViolations) : reportedViolations,
+      // Rules axe could not decide get their own section for manual review
+      ...(incomplete.length > 0 ? { incomplete: results.incomplete } : {})
+    },
+    options: htmlSummary.length > 0 ? { customSummary: htmlSummary.join('<br>') } : undefined
+  });
+  process.stdout.write = originalStdoutWrite;
+
+  await fs.writeFile(htmlReportPath, localizeHtmlReport(addScreenshotLinks(htmlReportContent, reportedViolations)));
+  // The JSON report always keeps the full axe results so it can be used for a new baseline
+  const jsonReport = { ...results, violations: withElementScreenshots(results.violations, elementScreenshots, outDir) };
+  if (variant) jsonReport.configuration = { name: variant.name, ...variant.contextOptions };
+  if (diff) jsonReport.baselineDiff = { counts: diff.counts, fixed: diff.fixed };
+  if (contrast.length > 0) jsonReport.contrastAnalysis = contrast;
+  await fs.writeFile(jsonReportPath, JSON.stringify(jsonReport, null, 2));
+
+  // Build violation list summary (each violation with id and description)
+  const violationList = violations
+    .map((v, idx) => `${idx + 1}. ${v.id} - ${v.description}`)
+    .join('\n');
+
+  // Extract violation count using Cheerio
+  const $ = cheerio.load(htmlReportContent);
+  let badgeText = $('.badge.badge-warning').text().trim();
+  const totalViolations = badgeText ? parseInt(badgeText, 10) : violations.length;
+  const distinctAreas = new Set(violations.map(v => v.id)).size;
+
+  // Count affected nodes per impact level (used for thresholds)
+  const { impactCounts } = countViolations(violations);
+  const ruleIds = violations.map(v => v.id);
+
+  logSuccess(`\n✅ ${t('runner.completed', { site })}`);
+  if (suppressed.length > 0) {
+    logInfo(`🙈 ${t('runner.suppressed', { count: suppressed.reduce((sum, v) => sum + v.nodes.length, 0) })}`);
+  }
+  if (diff) {
+    logInfo(`📐 ${t('runner.baselineDiff', diff.counts)}`);
+  }
+  if (violations.length > 0) {
+    logError(`❌ ${t(diff ? 'runner.newViolationsFound' : 'runner.violationsFound', { count: totalViolations, areas: distinctAreas })}`);
+    logInfo(t('runner.manualNote'));
+  } else if (diff) {
+    logSuccess(`🎉 ${t('runner.noNewViolations')}`);
+  } else {
+    logSuccess(`🎉 ${t('runner.noViolations')}`);
+    logInfo(t('runner.manualNote'));
+  }
+  if (contrast.length > 0) logInfo(`🎨 ${t('runner.contrastAnalysis', { count: contrast.length })}`);
+  if (incomplete.length > 0) {
+    logWarning(`🔎 ${t('runner.incomplete', { count: incomplete.length, nodes: incomplete.reduce((sum, rule) => sum + rule.nodes.length, 0) })}`);
+  }
+  logInfo(`📁 ${t('runner.reportsGenerated')}`);
+  logPlain(`   HTML: ${chalk.underline(htmlReportPath)}`);
+  logPlain(`   JSON: ${chalk.underline(jsonReportPath)}`);
+
+  const endTime = Date.now();
+  const duration = ((endTime - startTime) / 1000).toFixed(2);
+  logInfo(`⏱️ ${t('runner.duration', { seconds: duration })}`);
+  logSeparator();
+
+  // Return summary object including the violation list
+  return {
+    site, siteName, servedPath, totalViolations, distinctAreas, impactCounts, ruleIds,
+    duration: parseFloat(duration), htmlReportPath, jsonReportPath, screenshotPath, violationList,
+    baselineDiff: diff ? diff.counts : undefined,
+    variant: variant ? variant.name : undefined,
+    // Needed to compare matrix configurations of the same site
+    violationTargets: variant
+      ? violations.flatMap(v => v.nodes.map(node => ({ rule: v.id, target: formatTarget(node.target) })))
+      : undefined,
+    // Reported, suppressed and passed rules, used by the additional reporters
+    violations,
+    suppressed,
+    // Measured ratios and suggested colors of the contrast failures, and the rules that need manual review
+    contrast,
+    incomplete,
+    // Counts of all violations found (also in diff mode), recorded in the run history
+    counts: countViolations(results.violations),
+    passedRules: (results.passes || []).map(({ id, help, helpUrl }) => ({ id, help, helpUrl }))
+  };
+}
+
+// axe "incomplete" results (rules axe could not decide, e.g. text over images), with the reason for each element
+function summarizeIncomplete(incomplete = []) {
+  return incomplete.map(({ id, impact, help, helpUrl, tags, nodes }) => ({
+    id, impact, help, helpUrl, tags,
+    nodes: nodes.map(node => ({
+      target: formatTarget(node.target),
+      html: node.html,
+      message: [...(node.any || []), ...(node.all || []), ...(node.none || [])].map(check => check.message).find(Boolean) || ''
+    }))
+  }));
+}
+
+/**
+ * Check a site summary against the configured thresholds.
+ *
+ * @param {object} summary - Summary returned by runAuditForSite.
+ * @param {object} thresholds - Normalized thresholds (see normalizeThresholds).
+ * @returns {string[]} Human-readable reasons for failure (empty when the site passes).
+ */
+function evaluateThresholds(summary, thresholds) {
+  const failures = [];
+  if (thresholds.maxViolations !== undefined && summary.totalViolations > thresholds.maxViolations) {
+    failures.push(t('runner.thresholds.maxViolations', { count: summary.totalViolations, max: thresholds.maxViolations }));
+  }
+  for (const [impact, limit] of Object.entries(thresholds.maxPerImpact || {})) {
+    const count = summary.impactCounts[impact];
+    if (count > limit) failures.push(t('runner.thresholds.maxImpact', { count, impact: t(`impacts.${impact}`), max: limit }));
+  }
+  const forbidden = (thresholds.failOnRules || []).filter(rule => summary.ruleIds.includes(rule));
+  if (forbidden.length > 0) failures.push(t('runner.thresholds.forbiddenRules', { rules: forbidden.join(', ') }));
+  return failures;
+}
+
+/**
+ * Compare the matrix configurations of every site and find the violations that only occur
+ * in some of them (e.g. only on mobile or only with forced colors).
+ *
+ * @param {object[]} summaries - Summaries returned by runAuditForSite.
+ * @returns {object[]} Per site: { site, variants, specific: [{ rule, target, variants }] }.
+ */
+function compareVariants(summaries) {
+  const bySite = new Map();
+  for (const summary of summaries.filter(s => s.variant && !s.error)) {
+    if (!bySite.has(summary.site)) bySite.set(summary.site, []);
+    bySite.get(summary.site).push(summary);
+  }
+  const comparisons = [];
+  for (const [site, siteSummaries] of bySite) {
+    if (siteSummaries.length < 2) continue;
+    const occurrences = new Map();
+    for (const summary of siteSummaries) {
+      for (const { rule, target } of summary.violationTargets) {
+        const key = `${rule}\n${target}`;
+        if (!occurrences.has(key)) occurrences.set(key, { rule, target, variants: new Set() });
+        occurrences.get(key).variants.add(summary.variant);
+      }
+    }
+    const specific = [...occurrences.values()]
+      .filter(entry => entry.variants.size < siteSummaries.length)
+      .map(entry => ({ ...entry, variants: [...entry.variants] }));
+    comparisons.push({ site, variants: siteSummaries.map(s => s.variant), specific });
+  }
+  return comparisons;
+}
+
+// Print a pass/fail line per site and return the process exit code for the run
+function printRunSummary(summaries, thresholds) {
+  logSeparator();
+  logHeader(`📊 ${t('runner.summary.title')}`);
+  let exitCode = EXIT_CODES.OK;
+  // Status words are padded to the same width in every language
+  const statuses = { error: t('runner.summary.error'), fail: t('runner.summary.fail'), pass: t('runner.summary.pass') };
+  const width = Math.max(...Object.values(statuses).map(status => status.length));
+  const status = key => statuses[key].padEnd(width);
+  for (const summary of summaries) {
+    const label = getSummaryLabel(summary);
+    if (summary.error) {
+      logError(`   ❗ ${status('error')}  ${label} – ${summary.error}`);
+      exitCode = EXIT_CODES.SITE_UNREACHABLE;
+      continue;
+    }
+    const failures = evaluateThresholds(summary, thresholds);
+    if (failures.length > 0) {
+      logError(`   ❌ ${status('fail')}  ${label} – ${failures.join('; ')}`);
+      if (exitCode === EXIT_CODES.OK) exitCode = EXIT_CODES.THRESHOLDS_EXCEEDED;
+    } else {
+      logSuccess(`   ✅ ${status('pass')}  ${label} – ${t('runner.summary.violations', { count: summary.totalViolations })}`);
+    }
+  }
+  logSeparator();
+  return exitCode;
+}
+
+module.exports = {
+  gotoWithRetry, runQueue, logAuditStart, runAuditForSite, auditPage, evaluateThresholds, compareVariants,
+  printRunSummary
+};
@@ -0,0 +1,171 @@
+// Embedded static HTTP server for auditing local pages and built static sites
+
+const http = require('http');
+const fs = require('fs/promises');
+const fsSync = require('fs');
+const path = require('path');
+const { ConfigError, logWarning } = require('./utils');
+const { t } = require('./i18n');
+
+// Content types of the files served by the static server
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.htm': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.map': 'application/json; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.mp3': 'audio/mpeg',
+  '.pdf': 'application/pdf',
+  '.wasm': 'application/wasm'
+};
+
+// Directories never searched for pages
+const SKIPPED_DIRECTORIES = new Set(['node_modules', '.git']);
+
+/**
+ * Find the HTML files in a directory and its subdirectories.
+ *
+ * @param {string} rootDir - Directory to search.
+ * @returns {Promise<string[]>} Paths relative to rootDir (with "/" separators), sorted.
+ */
+async function findHtmlFiles(rootDir) {
+  const files = [];
+  async function walk(relativeDir) {
+    const entries = await fs.readdir(path.join(rootDir, relativeDir), { withFileTypes: true });
+    for (const entry of entries) {
+      const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        if (!SKIPPED_DIRECTORIES.has(entry.name) && !entry.name.startsWith('.')) await walk(relativePath);
+      } else if (/\.html?$/i.test(entry.name)) {
+        files.push(relativePath);
+      }
+    }
+  }
+  await walk('');
+  return files.sort();
+}
+
+// Route of a served HTML file: "docs/index.html" is served as "/docs/"
+function getPageRoute(relativePath) {
+  const route = `/${relativePath}`.replace(/(^|\/)index\.html?$/i, '$1');
+  return route.split('/').map(encodeURIComponent).join('/');
+}
+
+/**
+ * Resolve a request path to a file inside the root directory (directories and extensionless routes included).
+ * A directory requested without a trailing slash is redirected to it, so relative URLs in its index page
+ * resolve against the directory as on a real server.
+ *
+ * @param {string} rootDir - Served directory.
+ * @param {string} requestPath - URL path of the request.
+ * @returns {Promise<object|null>} { file } to serve, { redirect } with the path to redirect to, or null when not found.
+ */
+async function resolveRequestFile(rootDir, requestPath) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(requestPath);
+  } catch (error) {
+    return null;
+  }
+  const filePath = path.join(rootDir, path.normalize(decoded));
+  // Requests may not leave the served directory
+  if (filePath !== rootDir && !filePath.startsWith(rootDir + path.sep)) return null;
+  const isFile = async candidate => {
+    const stats = await fs.stat(candidate).catch(() => null);
+    return Boolean(stats && stats.isFile());
+  };
+  if (await isFile(filePath)) return { file: filePath };
+  for (const index of ['index.html', 'index.htm']) {
+    if (await isFile(path.join(filePath, index))) {
+      return requestPath.endsWith('/') ? { file: path.join(filePath, index) } : { redirect: `${requestPath}/` };
+    }
+  }
+  if (await isFile(`${filePath}.html`)) return { file: `${filePath}.html` };
+  return null;
+}
+
+/**
+ * Serve a directory over HTTP on localhost. Directories are served from their index.html (requests without
+ * the trailing slash are redirected to it) and extensionless routes from the matching .html file.
+ *
+ * @param {string} directory - Directory to serve.
+ * @param {object} [options] - { port } to listen on (default: a random free port).
+ * @returns {Promise<object>} { url, pages, pageUrl, close } where pages are the URLs of all HTML files in the directory
+ *   and pageUrl maps a file path relative to the directory to its URL.
+ */
+async function startStaticServer(directory, { port = 0 } = {}) {
+  const rootDir = path.resolve(directory);
+  const stats = await fs.stat(rootDir).catch(() => null);
+  if (!stats || !stats.isDirectory()) throw new ConfigError(`Cannot serve ${rootDir}: not a directory.`);
+
+  const server = http.createServer(async (request, response) => {
+    if (request.method !== 'GET' && request.method !== 'HEAD') {
+      response.writeHead(405, { Allow: 'GET, HEAD' }).end();
+      return;
+    }
+    const { pathname, search } = new URL(request.url, 'http://localhost');
+    const resolved = await resolveRequestFile(rootDir, pathname);
+    if (!resolved) {
+      response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' }).end('Not found');
+      return;
+    }
+    if (resolved.redirect) {
+      response.writeHead(301, { Location: `${resolved.redirect}${search}`, 'Cache-Control': 'no-store' }).end();
+      return;
+    }
+    const filePath = resolved.file;
+    response.writeHead(200, {
+      'Content-Type': MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+      'Cache-Control': 'no-store'
+    });
+    if (request.method === 'HEAD') {
+      response.end();
+      return;
+    }
+    fsSync.createReadStream(filePath)
+      .on('error', error => {
+        logWarning(`⚠️ ${t('server.serveError', { file: filePath, error: error.message })}`);
+        response.destroy();
+      })
+      .pipe(response);
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', error => reject(new ConfigError(`Could not start the static server: ${error.message}`)));
+    server.listen(port, '127.0.0.1', resolve);
+  });
+  const url = `http://127.0.0.1:${server.address().port}`;
+  const pageUrl = file => `${url}${getPageRoute(file)}`;
+  const pages = (await findHtmlFiles(rootDir)).map(pageUrl);
+  return {
+    url,
+    pages,
+    pageUrl,
+    close: () => new Promise(resolve => {
+      server.close(() => resolve());
+      server.closeAllConnections();
+    })
+  };
+}
+
+module.exports = {
+  findHtmlFiles, startStaticServer
+};
@@ -0,0 +1,311 @@
+// Draft accessibility statement (following the EU model statement) from the JSON reports of a run
+
+const fs = require('fs/promises');
+const path = require('path');
+const { escapeHtml, getFormattedTimestamp } = require('./utils');
+const { loadAxeReports } = require('./baseline');
+const { loadWcagCriteria, getWcagCriteria } = require('./pdf');
+const { t, getLocale } = require('./i18n');
+
+// WCAG levels whose success criteria count at each statement level
+const INCLUDED_LEVELS = {
+  A: ['A'],
+  AA: ['A', 'AA'],
+  AAA: ['A', 'AA', 'AAA']
+};
+
+// Maximum number of pages listed per failed success criterion
+const MAX_LISTED_PAGES = 10;
+
+// Level of a success criterion: from wcag_criteria.json, otherwise from the level tag of the rule (e.g. "wcag21aa")
+function criterionLevel(criterion, tags) {
+  if (criterion.level) return criterion.level;
+  const levelTag = tags.map(tag => tag.match(/^wcag2\d*(a{1,3})$/)).find(Boolean);
+  return levelTag ? levelTag[1].toUpperCase() : '';
+}
+
+// Success criteria of a rule at the statement level
+function criteriaAtLevel(tags, criteria, level) {
+  return getWcagCriteria(tags, criteria)
+    .map(criterion => ({ ...criterion, level: criterionLevel(criterion, tags) }))
+    .filter(criterion => INCLUDED_LEVELS[level].includes(criterion.level));
+}
+
+/**
+ * Derive the content of the statement from axe results: the success criteria failed at the level
+ * (with the rules, pages and number of elements), the accepted (suppressed) issues and the compliance status.
+ * The site is fully compliant without failures, not compliant when at least half of the success criteria
+ * checked by the automated tests fail, and partially compliant otherwise. Accepted issues count as failures.
+ *
+ * @param {object[]} reports - axe results of the audited pages (JSON reports).
+ * @param {object} criteria - Criteria loaded with loadWcagCriteria.
+ * @param {string} level - WCAG level of the statement (A, AA or AAA).
+ * @returns {object} { status, level, pages, auditDate, engine, tags, checked, failures, accepted, manualReview }.
+ */
+function analyzeReports(reports, criteria, level) {
+  const checked = new Set();
+  const failures = new Map();
+  const accepted = new Map();
+  let manualReview = 0;
+  const getFailure = criterion => {
+    if (!failures.has(criterion.number)) failures.set(criterion.number, { ...criterion, rules: new Map(), pages: new Set(), elements: 0 });
+    return failures.get(criterion.number);
+  };
+
+  for (const results of reports) {
+    for (const rule of [...(results.passes || []), ...(results.incomplete || []), ...results.violations, ...(results.suppressed || [])]) {
+      criteriaAtLevel(rule.tags || [], criteria, level).forEach(criterion => checked.add(criterion.number));
+    }
+    manualReview += (results.incomplete || []).reduce((sum, rule) => sum + rule.nodes.length, 0);
+
+    for (const violation of results.violations) {
+      for (const criterion of criteriaAtLevel(violation.tags || [], criteria, level)) {
+        const failure = getFailure(criterion);
+        failure.rules.set(violation.id, violation.help);
+        failure.pages.add(results.url);
+        failure.elements += violation.nodes.length;
+      }
+    }
+
+    for (const violation of results.suppressed || []) {
+      const mapped = criteriaAtLevel(violation.tags || [], criteria, level);
+      if (mapped.length === 0) continue;
+      mapped.forEach(getFailure);
+      // Accepted issues are grouped by rule and reason
+      for (const node of violation.nodes) {
+        const { reason = '', expires } = node.suppression || {};
+        const key = `${violation.id}\n${reason}\n${expires || ''}`;
+        const entry = accepted.get(key) || {
+          rule: violation.id, help: violation.help, criteria: mapped, reason, expires, pages: new Set(), elements: 0
+        };
+        entry.pages.add(results.url);
+        entry.elements++;
+        accepted.set(key, entry);
+      }
+    }
+  }
+
+  let status = 'fully';
+  if (failures.size > 0) status = failures.size * 2 >= checked.size ? 'not' : 'partially';
+
+  const byNumber = (a, b) => a.number.localeCompare(b.number, 'en', { numeric: true });
+  const timestamps = reports.map(results => results.timestamp).filter(Boolean).sort();
+  const runOnly = reports.map(results => results.toolOptions && results.toolOptions.runOnly).find(Boolean);
+  return {
+    status,
+    level,
+    pages: [...new Set(reports.map(results => results.url))],
+    auditDate: timestamps.length > 0 ? timestamps[timestamps.length - 1] : null,
+    engine: reports.map(results => results.testEngine && results.testEngine.version).find(Boolean) || null,
+    tags: runOnly && runOnly.type === 'tag' ? runOnly.values : null,
+    checked: checked.size,
+    failures: [...failures.values()]
+      .map(failure => ({ ...failure, rules: [...failure.rules.values()], pages: [...failure.pages] }))
+      .sort(byNumber),
+    accepted: [...accepted.values()].map(entry => ({ ...entry, pages: [...entry.pages] })),
+    manualReview
+  };
+}
+
+// Host of a page URL (the URL itself for local files)
+function getHost(page) {
+  try {
+    return new URL(page).host || page;
+  } catch (error) {
+    return page;
+  }
+}
+
+// A configured detail of the statement (organization, contact, ...) or a placeholder for it
+function detail(details, key) {
+  const value = details[key];
+  return typeof value === 'string' && value.trim() ? value.trim() : t(`statement.placeholders.${key}`);
+}
+
+function formatDate(date) {
+  return new Date(date).toLocaleDateString(getLocale(), { year: 'numeric', month: 'long', day: 'numeric' });
+}
+
+// Describe a success criterion, e.g. "1.1.1 Non-text Content (Level A)"
+function formatCriterion(criterion) {
+  return `${criterion.number} ${criterion.name} (${t('pdf.level', { level: criterion.level })})`.replace(/\s+/g, ' ');
+}
+
+// Pages of a finding, listed up to MAX_LISTED_PAGES
+function listPages(pages) {
+  const items = pages.slice(0, MAX_LISTED_PAGES);
+  if (pages.length > MAX_LISTED_PAGES) items.push(t('statement.morePages', { count: pages.length - MAX_LISTED_PAGES }));
+  return items;
+}
+
+/**
+ * Build the statement as a list of blocks shared by the HTML and Markdown output:
+ * { type: 'h1' | 'h2' | 'h3' | 'p' | 'note', text } and { type: 'list', items: [{ text, items }] }.
+ * Notes are instructions for the author of the statement and are meant to be removed before publishing.
+ */
+function buildStatementBlocks(analysis, details) {
+  const website = details.website || [...new Set(analysis.pages.map(getHost))].join(', ');
+  const standard = t('statement.standard', { level: analysis.level });
+  const blocks = [
+    { type: 'h1', text: t('statement.title', { website }) },
+    { type: 'note', text: t('statement.notes.draft') },
+    { type: 'p', text: t('statement.intro', { organization: detail(details, 'organization'), legislation: detail(details, 'legislation') }) },
+    { type: 'p', text: t('statement.appliesTo', { website }) },
+    { type: 'h2', text: t('statement.compliance.title') },
+    { type: 'p', text: t(`statement.compliance.${analysis.status}`, { standard }) },
+    { type: 'h2', text: t('statement.nonAccessible.title') }
+  ];
+
+  if (analysis.failures.length > 0) blocks.push({ type: 'p', text: t('statement.nonAccessible.intro') });
+  blocks.push({ type: 'h3', text: t('statement.nonAccessible.nonCompliance') });
+  const open = analysis.failures.filter(failure => failure.elements > 0);
+  if (open.length > 0) {
+    blocks.push({
+      type: 'list',
+      items: open.map(failure => ({
+        text: `${formatCriterion(failure)}: ${failure.rules.join('; ')} – ${t('statement.elements', { count: failure.elements })}`,
+        items: listPages(failure.pages).map(page => ({ text: page }))
+      }))
+    });
+    blocks.push({ type: 'note', text: t('statement.notes.nonCompliance') });
+  } else {
+    blocks.push({ type: 'p', text: t('statement.nonAccessible.none') });
+  }
+
+  blocks.push({ type: 'h3', text: t('statement.nonAccessible.burden') });
+  if (analysis.accepted.length > 0) {
+    blocks.push({
+      type: 'list',
+      items: analysis.accepted.map(entry => ({
+        text: `${entry.criteria.map(formatCriterion).join('; ')}: ${entry.help} – ${t('statement.elements', { count: entry.elements })}`,
+        items: [
+          { text: t('statement.reason', { reason: entry.reason }) + (entry.expires ? ` (${t('suppressions.until', { date: entry.expires })})` : '') },
+          ...listPages(entry.pages).map(page => ({ text: page }))
+        ]
+      }))
+    });
+    blocks.push({ type: 'note', text: t('statement.notes.accepted') });
+  } else {
+    blocks.push({ type: 'p', text: t('statement.nonAccessible.notApplicable') });
+    blocks.push({ type: 'note', text: t('statement.notes.burden') });
+  }
+  blocks.push({ type: 'h3', text: t('statement.nonAccessible.outOfScope') });
+  blocks.push({ type: 'p', text: t('statement.nonAccessible.notApplicable') });
+  blocks.push({ type: 'note', text: t('statement.notes.outOfScope') });
+
+  blocks.push({ type: 'h2', text: t('statement.preparation.title') });
+  blocks.push({ type: 'p', text: t('statement.preparation.prepared', { date: formatDate(Date.now()) }) });
+  blocks.push({
+    type: 'p',
+    text: t('statement.preparation.method', {
+      count: analysis.pages.length,
+      date: analysis.auditDate ? formatDate(analysis.auditDate) : t('statement.placeholders.auditDate'),
+      engine: analysis.engine ? `axe-core ${analysis.engine}` : 'axe-core',
+      standard
+    })
+  });
+  if (analysis.tags) blocks.push({ type: 'p', text: t('statement.preparation.tags', { tags: analysis.tags.join(', ') }) });
+  blocks.push({
+    type: 'p',
+    text: t('statement.preparation.checked', { count: analysis.checked, failed: analysis.failures.length })
+  });
+  if (analysis.manualReview > 0) {
+    blocks.push({ type: 'p', text: t('statement.preparation.manualReview', { count: analysis.manualReview }) });
+  }
+  blocks.push({ type: 'note', text: t('statement.notes.method') });
+  blocks.push({ type: 'h3', text: t('statement.preparation.pages') });
+  blocks.push({ type: 'list', items: analysis.pages.map(page => ({ text: page })) });
+
+  blocks.push({ type: 'h2', text: t('statement.feedback.title') });
+  blocks.push({ type: 'p', text: t('statement.feedback.intro') });
+  blocks.push({
+    type: 'list',
+    items: [
+      { text: t('statement.feedback.email', { email: detail(details, 'email') }) },
+      { text: t('statement.feedback.phone', { phone: detail(details, 'phone') }) }
+    ]
+  });
+  blocks.push({ type: 'p', text: t('statement.feedback.response', { days: detail(details, 'responseTime') }) });
+
+  blocks.push({ type: 'h2', text: t('statement.enforcement.title') });
+  blocks.push({ type: 'p', text: t('statement.enforcement.text', { enforcement: detail(details, 'enforcement') }) });
+  return blocks;
+}
+
+function renderHtmlList(items) {
+  return `<ul>${items.map(item => `<li>${escapeHtml(item.text)}${item.items ? renderHtmlList(item.items) : ''}</li>`).join('')}</ul>`;
+}
+
+// Render the statement blocks as an HTML document
+function renderHtmlStatement(blocks) {
+  const title = blocks.find(block => block.type === 'h1').text;
+  const body = blocks.map(block => {
+    if (block.type === 'list') return `    ${renderHtmlList(block.items)}`;
+    if (block.type === 'note') return `    <p class="note"><strong>${escapeHtml(t('statement.notes.label'))}</strong> ${escapeHtml(block.text)}</p>`;
+    return `    <${block.type}>${escapeHtml(block.text)}</${block.type}>`;
+  });
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(getLocale())}">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; margin: 0 auto; max-width: 900px; padding: 20px; color: #222; background: #fff; line-height: 1.5; }
+    .note { border-left: 4px solid #b35c00; background: #fff4e5; padding: 8px 12px; }
+  </style>
+</head>
+<body>
+  <main>
+${body.join('\n')}
+  </main>
+</body>
+</html>
+`;
+}
+
+// Escape the characters with a meaning in Markdown
+function escapeMarkdown(text) {
+  return String(text).replace(/([\\`*_<>])/g, '\\$1');
+}
+
+function renderMarkdownList(items, indent = '') {
+  return items.map(item => `${indent}- ${escapeMarkdown(item.text)}` +
+    (item.items ? `\n${renderMarkdownList(item.items, `${indent}  `)}` : '')).join('\n');
+}
+
+// Render the statement blocks as Markdown
+function renderMarkdownStatement(blocks) {
+  const prefixes = { h1: '# ', h2: '## ', h3: '### ', p: '' };
+  return `${blocks.map(block => {
+    if (block.type === 'list') return renderMarkdownList(block.items);
+    if (block.type === 'note') return `> **${escapeMarkdown(t('statement.notes.label'))}** ${escapeMarkdown(block.text)}`;
+    return `${prefixes[block.type]}${escapeMarkdown(block.text)}`;
+  }).join('\n\n')}\n`;
+}
+
+/**
+ * Generate a draft accessibility statement in HTML and Markdown from the JSON reports of a run.
+ *
+ * @param {string[]} reportPaths - JSON reports to use; when empty, the latest report of each page in reportDir.
+ * @param {string} reportDir - Directory searched for reports; the statement is written to it too.
+ * @param {object} options - { level, details } where details are the "statement" options of the config file
+ *   (organization, website, legislation, email, phone, responseTime, enforcement).
+ * @returns {Promise<object>} { status, htmlPath, markdownPath } where status is fully, partially or not (compliant).
+ */
+async function createStatement(reportPaths, reportDir, { level, details = {} }) {
+  const reports = await loadAxeReports(reportPaths, reportDir);
+  const analysis = analyzeReports(reports, await loadWcagCriteria(), level);
+  const blocks = buildStatementBlocks(analysis, details);
+  const timestamp = getFormattedTimestamp();
+  const htmlPath = path.join(reportDir, `accessibility_statement_${timestamp}.html`);
+  const markdownPath = path.join(reportDir, `accessibility_statement_${timestamp}.md`);
+  await fs.mkdir(reportDir, { recursive: true });
+  await fs.writeFile(htmlPath, renderHtmlStatement(blocks));
+  await fs.writeFile(markdownPath, renderMarkdownStatement(blocks));
+  return { status: analysis.status, htmlPath, markdownPath };
+}
+
+module.exports = {
+  createStatement
+};
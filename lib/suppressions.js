@@ -0,0 +1,153 @@
+// Suppressions of accepted violations and per-site overrides
+
+const fs = require('fs/promises');
+const { SUPPRESSIONS_FILE, ELEMENT_LOOKUP_TIMEOUT } = require('./constants');
+const { ConfigError, logWarning, escapeHtml, formatTarget, getWcagTags, compilePatterns } = require('./utils');
+const { t } = require('./i18n');
+const { getTargetLocator } = require('./highlight');
+
+/**
+ * Load the suppression file. Every suppression accepts the violations matching all of its criteria:
+ * an axe rule id ("rule"), a CSS selector of the element or one of its ancestors ("selector") and/or a
+ * regular expression for the page URL ("url"). A reason is mandatory; after the optional "expires"
+ * date the suppression is no longer applied and a warning is shown instead.
+ * The default file is optional; a suppression file given via --suppressions or the config file is not.
+ *
+ * @param {string} [suppressionsFile] - Path given via --suppressions or the config file.
+ * @returns {Promise<object[]>} Active suppressions: { rule, selector, url, pattern, reason, expires, index }.
+ */
+async function loadSuppressions(suppressionsFile) {
+  const filePath = suppressionsFile || SUPPRESSIONS_FILE;
+  let content;
+  try {
+    content = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+  } catch (error) {
+    if (!suppressionsFile && error.code === 'ENOENT') return [];
+    throw new ConfigError(`Could not load suppressions ${filePath}: ${error.message}`);
+  }
+  if (!content || !Array.isArray(content.suppressions)) {
+    throw new ConfigError(`Suppression file ${filePath} has no "suppressions" list.`);
+  }
+  const now = Date.now();
+  const active = [];
+  content.suppressions.forEach((entry, index) => {
+    const name = `suppressions[${index}]`;
+    if (!entry || typeof entry !== 'object') throw new ConfigError(`${name} must be an object.`);
+    if (!entry.rule && !entry.selector && !entry.url) {
+      throw new ConfigError(`${name} needs a "rule", a "selector" and/or a "url".`);
+    }
+    if (typeof entry.reason !== 'string' || !entry.reason.trim()) throw new ConfigError(`${name} needs a "reason".`);
+    const suppression = {
+      rule: entry.rule,
+      selector: entry.selector,
+      url: entry.url,
+      pattern: entry.url ? compilePatterns([entry.url], `${name}.url`)[0] : null,
+      reason: entry.reason.trim(),
+      expires: entry.expires,
+      index
+    };
+    if (entry.expires !== undefined) {
+      const expires = new Date(entry.expires);
+      if (Number.isNaN(expires.getTime())) throw new ConfigError(`${name}.expires is not a valid date: ${entry.expires}`);
+      if (expires.getTime() < now) {
+        logWarning(`⌛ ${t('suppressions.expired', { suppression: describeSuppression(suppression), date: entry.expires, reason: suppression.reason })}`);
+        return;
+      }
+    }
+    active.push(suppression);
+  });
+  return active;
+}
+
+// Short description of a suppression for messages, e.g. "#2 (rule color-contrast, selector .banner)"
+function describeSuppression(suppression) {
+  const criteria = ['rule', 'selector', 'url'].filter(key => suppression[key]).map(key => `${key} ${suppression[key]}`);
+  return `#${suppression.index + 1} (${criteria.join(', ')})`;
+}
+
+// Whether the element of an axe node matches a selector itself or through one of its ancestors
+async function nodeMatchesSelector(page, node, selector) {
+  const target = Array.isArray(node.target) ? node.target : [];
+  if (target.length > 0 && formatTarget(target) === selector) return true;
+  if (target.length === 0) return false;
+  return getTargetLocator(page, target)
+    .evaluate((element, ancestor) => element.closest(ancestor) !== null, selector, { timeout: ELEMENT_LOOKUP_TIMEOUT })
+    .catch(() => false);
+}
+
+/**
+ * Split the violations of a page into reported and suppressed ones. Suppressed nodes get a
+ * "suppression" property with the reason and expiry date of the suppression that matched first.
+ *
+ * @param {object} page - Playwright page instance (still on the audited page).
+ * @param {string} site - URL of the audited page.
+ * @param {object[]} violations - Violations from axe-core analysis.
+ * @param {object[]} suppressions - Suppressions loaded with loadSuppressions.
+ * @returns {Promise<object>} { violations, suppressed }, both in the axe violation shape.
+ */
+async function applySuppressions(page, site, violations, suppressions) {
+  const reported = [];
+  const suppressed = [];
+  for (const violation of violations) {
+    const candidates = suppressions.filter(s =>
+      (!s.rule || s.rule === violation.id) && (!s.pattern || s.pattern.test(site))
+    );
+    const openNodes = [];
+    const suppressedNodes = [];
+    for (const node of violation.nodes) {
+      let match = null;
+      for (const suppression of candidates) {
+        if (!suppression.selector || await nodeMatchesSelector(page, node, suppression.selector)) {
+          match = suppression;
+          break;
+        }
+      }
+      if (match) {
+        suppressedNodes.push({ ...node, suppression: { reason: match.reason, expires: match.expires } });
+      } else {
+        openNodes.push(node);
+      }
+    }
+    if (openNodes.length > 0) reported.push(openNodes.length === violation.nodes.length ? violation : { ...violation, nodes: openNodes });
+    if (suppressedNodes.length > 0) suppressed.push({ ...violation, nodes: suppressedNodes });
+  }
+  return { violations: reported, suppressed };
+}
+
+// HTML list of the suppressed findings for the top of the HTML report
+function formatSuppressedSummary(suppressed) {
+  const items = suppressed.flatMap(violation => violation.nodes.map(node =>
+    `<li>${escapeHtml(violation.id)} – <code>${escapeHtml(formatTarget(node.target))}</code>: ${escapeHtml(node.suppression.reason)}` +
+    `${node.suppression.expires ? ` (${t('suppressions.until', { date: escapeHtml(String(node.suppression.expires)) })})` : ''}</li>`
+  ));
+  return `${t('suppressions.summary')}<ul>${items.join('')}</ul>`;
+}
+
+/**
+ * Resolve the audit settings of a page from the global options and the matching per-site overrides.
+ *
+ * @param {string} site - URL of the audited page.
+ * @param {object} options - Options from resolveOptions.
+ * @returns {object} { wcagTags, include, exclude, disableRules, overridden }.
+ */
+function resolveSiteSettings(site, options) {
+  const settings = { wcagTags: options.wcagTags, include: [], exclude: [], disableRules: [], overridden: false };
+  for (const override of options.overrides.filter(o => o.pattern.test(site))) {
+    settings.overridden = true;
+    if (override.tags) {
+      settings.wcagTags = override.tags;
+    } else if (override.level !== undefined || override.bestPractice !== undefined) {
+      const levelTags = override.level ? getWcagTags(override.level, { strict: true }) : settings.wcagTags;
+      const bestPractice = override.bestPractice ?? settings.wcagTags.includes('best-practice');
+      settings.wcagTags = [...levelTags.filter(tag => tag !== 'best-practice'), ...(bestPractice ? ['best-practice'] : [])];
+    }
+    settings.include.push(...override.include);
+    settings.exclude.push(...override.exclude);
+    settings.disableRules.push(...override.disableRules);
+  }
+  return settings;
+}
+
+module.exports = {
+  loadSuppressions, applySuppressions, formatSuppressedSummary, resolveSiteSettings
+};
@@ -0,0 +1,211 @@
+// Logging, URL and formatting helpers shared by all modules
+
+const path = require('path');
+const chalk = require('chalk').default;
+const { IMPACT_LEVELS, WCAG_LEVELS } = require('./constants');
+
+// Error raised for invalid command-line arguments or configuration
+class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigError';
+  }
+}
+
+// Console output can be turned off when the auditor is embedded in other tools (see setQuiet)
+let quiet = false;
+
+function setQuiet(value) {
+  quiet = Boolean(value);
+}
+
+function isQuiet() {
+  return quiet;
+}
+
+// Helper functions for logging
+function logSeparator() {
+  if (quiet) return;
+  console.log(chalk.gray('--------------------------------------------------'));
+}
+
+function logHeader(text) {
+  if (quiet) return;
+  console.log(chalk.bold.blue(text));
+}
+
+function logInfo(text) {
+  if (quiet) return;
+  console.log(chalk.cyan(text));
+}
+
+function logSuccess(text) {
+  if (quiet) return;
+  console.log(chalk.green(text));
+}
+
+function logWarning(text) {
+  if (quiet) return;
+  console.log(chalk.yellow(text));
+}
+
+function logError(text) {
+  if (quiet) return;
+  console.error(chalk.red(text));
+}
+
+function logPlain(text) {
+  if (quiet) return;
+  console.log(text);
+}
+
+// Normalize the URL input
+function normalizeUrl(inputUrl) {
+  let url = inputUrl.trim();
+  if (/^(https?|file):\/\//i.test(url)) return url;
+  // Local HTML files (.html or .htm) are resolved against the project root
+  if (/\.html?$/i.test(url)) {
+    url = `file://${path.resolve(__dirname, '..', url)}`;
+  } else {
+    url = 'https://' + url;
+  }
+  return url;
+}
+
+// Get hostname for report naming
+function getHostName(url) {
+  try {
+    if (url.startsWith('file://')) return path.basename(url, '.html');
+    const { hostname } = new URL(url);
+    return hostname.replace(/^www\./i, '').replace(/\./g, '_');
+  } catch (error) {
+    logError(`❌ Error parsing URL for hostname: ${error}`);
+    return 'report';
+  }
+}
+
+// Get report file name prefix: the host name, plus the path for pages other than the home page
+function getReportName(url) {
+  const hostName = getHostName(url);
+  if (url.startsWith('file://')) return hostName;
+  try {
+    const slug = new URL(url).pathname.replace(/\.html?$/i, '').replace(/[^a-z0-9]+/gi, '_').replace(/^_+|_+$/g, '');
+    return slug ? `${hostName}_${slug}` : hostName;
+  } catch (error) {
+    return hostName;
+  }
+}
+
+// Escape text for inclusion in generated HTML
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Format the current timestamp for report naming
+function getFormattedTimestamp() {
+  const now = new Date();
+  const day = String(now.getDate()).padStart(2, '0');
+  const month = String(now.getMonth() + 1).padStart(2, '0');
+  const year = now.getFullYear();
+  const hours = String(now.getHours()).padStart(2, '0');
+  const minutes = String(now.getMinutes()).padStart(2, '0');
+  return `${day}-${month}-${year}_${hours}-${minutes}`;
+}
+
+/**
+ * Get the WCAG tags of a level (A, AA or AAA, in any case).
+ *
+ * @param {string} levelInput - Level given by the user.
+ * @param {object} [options] - { strict } to throw a ConfigError for an invalid level instead of warning and
+ *   falling back to AA, { name } of the setting to mention in that error.
+ * @returns {string[]} axe-core tags of the level.
+ */
+function getWcagTags(levelInput, { strict = false, name = 'level' } = {}) {
+  const level = String(levelInput).toUpperCase().trim();
+  if (WCAG_LEVELS[level]) return WCAG_LEVELS[level];
+  if (strict) throw new ConfigError(`Invalid ${name} "${levelInput}" (expected: ${Object.keys(WCAG_LEVELS).join(', ')}).`);
+  // Required here because the localization module depends on this one
+  const { t } = require('./i18n');
+  logWarning(`⚡ ${t('cli.invalidLevel')}`);
+  return WCAG_LEVELS['AA'];
+}
+
+// Split a comma-separated string (or pass through an array) into trimmed, non-empty items
+function splitList(value) {
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  return items.map(item => String(item).trim()).filter(Boolean);
+}
+
+// Build a stable string for an axe node target (iframe and shadow DOM targets are nested arrays)
+function formatTarget(target) {
+  return target.map(part => (Array.isArray(part) ? part.join(' >>> ') : part)).join(' | ');
+}
+
+// Compile URL patterns (regular expressions) from the CLI or config file
+function compilePatterns(patterns, name) {
+  return splitList(patterns || []).map(pattern => {
+    try {
+      return new RegExp(pattern);
+    } catch (error) {
+      throw new ConfigError(`Invalid ${name} pattern "${pattern}": ${error.message}`);
+    }
+  });
+}
+
+// Count violating nodes in total, per impact level and per rule
+function countViolations(violations) {
+  const impactCounts = Object.fromEntries(IMPACT_LEVELS.map(impact => [impact, 0]));
+  const ruleCounts = {};
+  let total = 0;
+  for (const violation of violations) {
+    total += violation.nodes.length;
+    if (violation.impact in impactCounts) impactCounts[violation.impact] += violation.nodes.length;
+    ruleCounts[violation.id] = (ruleCounts[violation.id] || 0) + violation.nodes.length;
+  }
+  return { total, impactCounts, ruleCounts };
+}
+
+// Path of a page of the static server (e.g. "/docs/"), which keys it in the baseline and the run history
+// instead of its URL because the server port changes between runs; undefined for other pages
+function getServedPath(site, serverUrl) {
+  return serverUrl && site.startsWith(`${serverUrl}/`) ? site.slice(serverUrl.length) : undefined;
+}
+
+// Label of a summary: the page, plus the matrix configuration when there is one
+function getSummaryLabel(summary) {
+  return summary.variant ? `${summary.site} [${summary.variant}]` : summary.site;
+}
+
+// Runs in the page: CSS selector of an element, its id when unique or else its path of tag names from <body>
+function cssPath(el) {
+  if (el.id && document.querySelectorAll(`#${CSS.escape(el.id)}`).length === 1) return `#${CSS.escape(el.id)}`;
+  const parts = [];
+  for (let node = el; node && node.nodeType === 1 && node !== document.documentElement; node = node.parentElement) {
+    const tag = node.tagName.toLowerCase();
+    const siblings = node.parentElement ? [...node.parentElement.children].filter(c => c.tagName === node.tagName) : [];
+    parts.unshift(siblings.length > 1 ? `${tag}:nth-of-type(${siblings.indexOf(node) + 1})` : tag);
+  }
+  return parts.join(' > ');
+}
+
+/**
+ * Evaluate a page function that needs cssPath: it is called in the page as pageFunction(cssPath, arg).
+ *
+ * @param {object} page - Playwright page.
+ * @param {Function} pageFunction - Function run in the page.
+ * @param {*} [arg] - JSON-serializable argument of the function.
+ * @returns {Promise<*>} Result of the function.
+ */
+function evaluateWithCssPath(page, pageFunction, arg) {
+  return page.evaluate(`(${pageFunction})(${cssPath}, ${JSON.stringify(arg)})`);
+}
+
+module.exports = {
+  ConfigError, setQuiet, isQuiet, logSeparator, logHeader, logInfo, logSuccess, logWarning, logError, logPlain,
+  normalizeUrl, getHostName, getReportName, escapeHtml, getFormattedTimestamp, getWcagTags, splitList, formatTarget,
+  compilePatterns, countViolations, getServedPath, getSummaryLabel, evaluateWithCssPath
+};
@@ -0,0 +1,200 @@
+// Watch mode: re-audit local pages when their files change and report the violations fixed and introduced
+
+const fsSync = require('fs');
+const fs = require('fs/promises');
+const path = require('path');
+const cheerio = require('cheerio');
+const chalk = require('chalk').default;
+const { chromium } = require('playwright');
+const { WATCHED_EXTENSIONS, WATCH_DEBOUNCE } = require('./constants');
+const { logSeparator, logHeader, logInfo, logWarning, logError, logPlain, formatTarget } = require('./utils');
+const { runQueue, runAuditForSite } = require('./runner');
+const { findHtmlFiles } = require('./server');
+const { t } = require('./i18n');
+
+// Maximum number of fixed / introduced violations listed per page after a re-audit
+const MAX_LISTED_CHANGES = 10;
+
+// Local files a page loads directly (stylesheets and scripts), as paths relative to the watched directory
+function findPageDependencies(html, file) {
+  const $ = cheerio.load(html);
+  const references = [
+    ...$('link[href]').map((i, element) => $(element).attr('href')).get(),
+    ...$('script[src]').map((i, element) => $(element).attr('src')).get()
+  ];
+  const dependencies = new Set();
+  for (const reference of references) {
+    // Files from other origins and data: URLs cannot change locally
+    if (/^([a-z][a-z\d+.-]*:|\/\/)/i.test(reference)) continue;
+    const pathname = reference.split(/[?#]/)[0];
+    if (!pathname) continue;
+    let decoded;
+    try {
+      decoded = decodeURIComponent(pathname);
+    } catch (error) {
+      continue;
+    }
+    const resolved = decoded.startsWith('/') ? decoded.slice(1) : path.posix.join(path.posix.dirname(file), decoded);
+    dependencies.add(path.posix.normalize(resolved));
+  }
+  return dependencies;
+}
+
+// Violating nodes of an audit summary by rule and target
+function getViolationEntries(summary) {
+  const entries = new Map();
+  for (const violation of summary.violations || []) {
+    for (const node of violation.nodes) {
+      const target = formatTarget(node.target);
+      entries.set(`${violation.id}\n${target}`, { rule: violation.id, impact: violation.impact, target });
+    }
+  }
+  return entries;
+}
+
+/**
+ * Compare the violations of two audits of the same page.
+ *
+ * @param {Map<string, object>} previous - Entries of the previous audit (from getViolationEntries).
+ * @param {Map<string, object>} current - Entries of the current audit.
+ * @returns {object} { fixed, introduced } lists of { rule, impact, target }.
+ */
+function diffViolationEntries(previous, current) {
+  return {
+    fixed: [...previous].filter(([key]) => !current.has(key)).map(([, entry]) => entry),
+    introduced: [...current].filter(([key]) => !previous.has(key)).map(([, entry]) => entry)
+  };
+}
+
+// Print the violations fixed and introduced since the previous audit of a page
+function printViolationDiff(label, current, diff) {
+  if (!diff) {
+    logInfo(`👀 ${label}: ${t('watch.violations', { count: current.size })}`);
+    return;
+  }
+  const { fixed, introduced } = diff;
+  const width = Math.max(t('watch.fixed').length, t('watch.new').length);
+  const color = introduced.length > 0 ? chalk.red : fixed.length > 0 ? chalk.green : chalk.gray;
+  logPlain(color(`🔁 ${label}: ${t('watch.diff', { count: current.size, fixed: fixed.length, introduced: introduced.length })}`));
+  const changes = [
+    ...fixed.map(entry => chalk.green(`   ✅ ${t('watch.fixed').padEnd(width)}  ${entry.rule} ${chalk.gray(entry.target)}`)),
+    ...introduced.map(entry => chalk.red(`   ❌ ${t('watch.new').padEnd(width)}  ${entry.rule} (${entry.impact || 'n/a'}) ${chalk.gray(entry.target)}`))
+  ];
+  changes.slice(0, MAX_LISTED_CHANGES).forEach(line => logPlain(line));
+  if (changes.length > MAX_LISTED_CHANGES) logPlain(chalk.gray(`   ${t('watch.more', { count: changes.length - MAX_LISTED_CHANGES })}`));
+}
+
+/**
+ * Audit the HTML pages of a directory, then watch the directory and re-audit the pages affected by each change
+ * (HTML, CSS or JS) in the same browser. A changed stylesheet or script re-audits the pages that load it, or all
+ * pages when none of them references it directly. After every audit the violations fixed and introduced since
+ * the previous audit of the page are printed.
+ *
+ * @param {object} options - Options from prepareOptions.
+ * @param {object} watched - { dir, pageUrl } where pageUrl maps a file path relative to dir to the URL audited.
+ * @returns {Promise<object>} { close } to stop watching and close the browser.
+ */
+async function watchPages(options, { dir, pageUrl }) {
+  // State of every page: the files it loads and the violations of its last audit per matrix configuration
+  const pages = new Map();
+  for (const file of await findHtmlFiles(dir)) pages.set(file, { dependencies: new Set(), results: new Map() });
+  const browser = await chromium.launch({ headless: true });
+  const changed = new Set();
+  let timer = null;
+  let running = Promise.resolve();
+
+  async function auditFiles(files) {
+    for (const file of files) {
+      const html = await fs.readFile(path.join(dir, file), 'utf-8').catch(() => '');
+      pages.get(file).dependencies = findPageDependencies(html, file);
+    }
+    const jobs = files.flatMap(file => options.matrix.map(variant => ({ file, variant })));
+    const results = await runQueue(jobs, options.concurrency, async ({ file, variant }) => {
+      const summary = await runAuditForSite(pageUrl(file), options, browser, variant);
+      return { file, variant, summary };
+    });
+    logSeparator();
+    for (const { file, variant, summary } of results.map(result => result.value)) {
+      const label = variant ? `${file} [${variant.name}]` : file;
+      if (summary.error) {
+        logError(`❗ ${label}: ${summary.error}`);
+        continue;
+      }
+      const state = pages.get(file);
+      if (!state) continue;
+      const key = variant ? variant.name : '';
+      const current = getViolationEntries(summary);
+      const previous = state.results.get(key);
+      printViolationDiff(label, current, previous && diffViolationEntries(previous, current));
+      state.results.set(key, current);
+    }
+    logSeparator();
+  }
+
+  async function processChanges() {
+    const files = [...changed];
+    changed.clear();
+    const affected = new Set();
+    for (const file of files) {
+      if (/\.html?$/i.test(file)) {
+        const exists = await fs.stat(path.join(dir, file)).then(stats => stats.isFile(), () => false);
+        if (exists) {
+          if (!pages.has(file)) pages.set(file, { dependencies: new Set(), results: new Map() });
+          affected.add(file);
+        } else if (pages.delete(file)) {
+          logInfo(`🗑️ ${t('watch.removed', { file })}`);
+        }
+      } else {
+        const dependents = [...pages].filter(([, state]) => state.dependencies.has(file)).map(([page]) => page);
+        (dependents.length > 0 ? dependents : [...pages.keys()]).forEach(page => affected.add(page));
+      }
+    }
+    if (affected.size === 0) return;
+    logHeader(`\n🔄 ${t('watch.changed', { files: files.join(', '), count: affected.size })}`);
+    await auditFiles([...affected].filter(file => pages.has(file)));
+    logInfo(`👀 ${t('watch.waiting')}`);
+  }
+
+  const watcher = fsSync.watch(dir, { recursive: true }, (eventType, filename) => {
+    if (!filename) return;
+    const file = filename.split(path.sep).join('/');
+    const segments = file.split('/');
+    if (!WATCHED_EXTENSIONS.test(file) || segments.some(segment => segment === 'node_modules' || segment.startsWith('.'))) {
+      return;
+    }
+    changed.add(file);
+    // Changes saved together are audited together; changes during an audit are handled after it
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      running = running.then(processChanges).catch(error => logError(`❗ ${t('watch.error', { error: error.message })}`));
+    }, WATCH_DEBOUNCE);
+  });
+  watcher.on('error', error => logError(`❗ ${t('watch.watchError', { dir, error: error.message })}`));
+
+  if (pages.size === 0) {
+    logWarning(`❗ ${t('watch.noPages', { dir })}`);
+  } else {
+    try {
+      running = auditFiles([...pages.keys()]);
+      await running;
+    } catch (error) {
+      watcher.close();
+      await browser.close();
+      throw error;
+    }
+  }
+  logInfo(`👀 ${t('watch.watching', { dir })}`);
+
+  return {
+    close: async () => {
+      clearTimeout(timer);
+      watcher.close();
+      await running;
+      await browser.close();
+    }
+  };
+}
+
+module.exports = {
+  watchPages
+};
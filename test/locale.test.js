@@ -0,0 +1,42 @@
+// Checks that the locale reaches axe-core: its rule texts are translated in the audit results
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+const { chromium } = require('playwright');
+const { audit } = require('..');
+const { setLocale, getAxeSource } = require('../lib/i18n');
+
+const DEMO_PAGE = path.join(__dirname, '..', 'local_pages', 'demo.html');
+const POLISH_IMAGE_ALT_HELP = 'Obrazy muszą mieć tekst alternatywny.';
+
+test.afterEach(() => setLocale('en'));
+
+test('the axe-core source configures the axe-core locale', () => {
+  setLocale('pl');
+  const context = vm.createContext({ setTimeout, clearTimeout, getComputedStyle() {} });
+  context.window = context;
+  vm.runInContext(getAxeSource(), context);
+  assert.strictEqual(context.axe.getRules(['wcag2a']).find(rule => rule.ruleId === 'image-alt').help, POLISH_IMAGE_ALT_HELP);
+
+  setLocale('en');
+  assert.strictEqual(getAxeSource(), null);
+});
+
+test('an audit with the Polish locale reports Polish rule texts', {
+  skip: !fs.existsSync(chromium.executablePath()) && 'Chromium is not installed (npx playwright install chromium)'
+}, async () => {
+  const out = fs.mkdtempSync(path.join(os.tmpdir(), 'a11y-locale-'));
+  try {
+    const result = await audit(DEMO_PAGE, { locale: 'pl', rules: ['image-alt'], out, quiet: true });
+    assert.strictEqual(result.summaries[0].error, undefined);
+    const violation = result.violations.find(v => v.id === 'image-alt');
+    assert.ok(violation, 'demo.html has an image without alternative text');
+    assert.strictEqual(violation.help, POLISH_IMAGE_ALT_HELP);
+  } finally {
+    fs.rmSync(out, { recursive: true, force: true });
+  }
+});